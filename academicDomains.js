@@ -0,0 +1,54 @@
+// Academic email domain rules for Oumie
+// A domain is academic if it ends in one of the academic suffixes, or is on
+// the allowlist (for institutions without a standard suffix, e.g. utoronto.ca).
+// Domains registered in the university registry count as allowlisted too.
+
+// Default suffixes; override with ACADEMIC_DOMAIN_SUFFIXES="edu,ac.uk,..."
+const DEFAULT_ACADEMIC_SUFFIXES = [
+  'edu',
+  // United Kingdom, Ireland and Commonwealth "ac" second-level domains
+  'ac.uk', 'ac.nz', 'ac.za', 'ac.in', 'ac.jp', 'ac.kr', 'ac.il', 'ac.th', 'ac.id', 'ac.at', 'ac.be', 'ac.cy',
+  // Countries that use "edu" under their country code
+  'edu.au', 'edu.cn', 'edu.hk', 'edu.sg', 'edu.my', 'edu.tw', 'edu.mx', 'edu.br', 'edu.ar', 'edu.co',
+  'edu.pe', 'edu.tr', 'edu.pl', 'edu.pk', 'edu.eg', 'edu.ng', 'edu.ph', 'edu.vn', 'edu.es', 'edu.it'
+];
+
+// Turn a comma-separated env value into clean, lowercase entries
+function parseDomainList(value) {
+  return String(value || '')
+    .split(',')
+    .map(entry => entry.trim().toLowerCase().replace(/^[.@]+/, ''))
+    .filter(Boolean);
+}
+
+const ACADEMIC_SUFFIXES = process.env.ACADEMIC_DOMAIN_SUFFIXES
+  ? parseDomainList(process.env.ACADEMIC_DOMAIN_SUFFIXES)
+  : DEFAULT_ACADEMIC_SUFFIXES;
+
+// Extra domains accepted as-is (and their subdomains), e.g. "utoronto.ca,tum.de"
+const ACADEMIC_DOMAIN_ALLOWLIST = parseDomainList(process.env.ACADEMIC_DOMAIN_ALLOWLIST);
+
+// Is domain equal to, or a subdomain of, parent?
+function isSameOrSubdomain(domain, parent) {
+  return domain === parent || domain.endsWith(`.${parent}`);
+}
+
+// Does the domain end in an academic suffix? The suffix alone ("ac.uk") is not
+// a school, so there must be at least one label in front of it.
+function hasAcademicSuffix(domain) {
+  return ACADEMIC_SUFFIXES.some(suffix => domain.endsWith(`.${suffix}`));
+}
+
+// Is the domain on the configured allowlist?
+function isAllowlistedDomain(domain) {
+  return ACADEMIC_DOMAIN_ALLOWLIST.some(allowed => isSameOrSubdomain(domain, allowed));
+}
+
+module.exports = {
+  ACADEMIC_SUFFIXES,
+  ACADEMIC_DOMAIN_ALLOWLIST,
+  hasAcademicSuffix,
+  isAllowlistedDomain,
+  isSameOrSubdomain,
+  parseDomainList
+};
@@ -1,4 +1,7 @@
 // Authentication Module for Oumie
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
@@ -6,11 +9,20 @@ const rateLimit = require('express-rate-limit');
 // JWT Secret (in production, this should be in environment variables)
 const JWT_SECRET = process.env.JWT_SECRET || 'oumie-secret-key-change-in-production';
 const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'oumie-refresh-secret-key';
+const VERIFICATION_CODE_SECRET = process.env.VERIFICATION_CODE_SECRET || JWT_SECRET;
 
 // Token expiration times
 const ACCESS_TOKEN_EXPIRY = '15m'; // 15 minutes
 const REFRESH_TOKEN_EXPIRY = '30d'; // 30 days
 const PERSISTENT_TOKEN_EXPIRY = '90d'; // 90 days for "keep me signed in"
+const TWO_FACTOR_CHALLENGE_EXPIRY = '5m'; // time to enter the 2FA code after the password
+
+// Account roles, carried in the access token
+const ROLES = {
+  STUDENT: 'student',
+  UNIVERSITY_ADMIN: 'university_admin',
+  PLATFORM_ADMIN: 'platform_admin'
+};
 
 // Rate limiting for auth endpoints
 const authLimiter = rateLimit({
@@ -51,22 +63,80 @@ async function comparePassword(password, hash) {
 }
 
 // Generate access token
-function generateAccessToken(userId, email, rememberMe = false) {
-  const expiry = rememberMe ? PERSISTENT_TOKEN_EXPIRY : ACCESS_TOKEN_EXPIRY;
-  return jwt.sign({ userId, email }, JWT_SECRET, { expiresIn: expiry });
+// user is a students row (id, email, role, university_id); sessionId ties
+// the token to the device session it was issued for
+function generateAccessToken(user, sessionId = null) {
+  const payload = {
+    userId: user.id,
+    email: user.email,
+    role: user.role || ROLES.STUDENT,
+    universityId: user.university_id || null
+  };
+  if (sessionId) payload.sid = sessionId;
+  return jwt.sign(payload, JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRY });
 }
 
 // Generate refresh token
-function generateRefreshToken(userId, email) {
-  return jwt.sign({ userId, email }, JWT_REFRESH_SECRET, {
-    expiresIn: REFRESH_TOKEN_EXPIRY
+// Every token gets a unique jti so a rotated token never equals its predecessor
+function generateRefreshToken(userId, email, sessionId, rememberMe = false) {
+  const expiry = rememberMe ? PERSISTENT_TOKEN_EXPIRY : REFRESH_TOKEN_EXPIRY;
+  return jwt.sign({ userId, email, sid: sessionId }, JWT_REFRESH_SECRET, {
+    expiresIn: expiry,
+    jwtid: crypto.randomUUID()
   });
 }
 
+// Hash a token for storage (refresh tokens are never stored in plain text)
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Generate a 6-digit email verification code
+function generateVerificationCode() {
+  return crypto.randomInt(100000, 1000000).toString();
+}
+
+// Hash an email verification code for storage
+// Keyed with a server secret: a plain hash of a 6-digit code is trivially reversible
+function hashVerificationCode(email, code) {
+  return crypto
+    .createHmac('sha256', VERIFICATION_CODE_SECRET)
+    .update(`${email.toLowerCase()}:${String(code).trim()}`)
+    .digest('hex');
+}
+
+// Constant-time comparison of two hex hashes
+function hashesMatch(a, b) {
+  if (!a || !b || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+}
+
+// Generate the short-lived token /auth/login hands out when 2FA is on.
+// It only proves the password was correct and is useless as an access token.
+function generateTwoFactorChallenge(userId, rememberMe = false) {
+  return jwt.sign(
+    { userId, rememberMe: !!rememberMe, purpose: '2fa_challenge' },
+    JWT_SECRET,
+    { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRY }
+  );
+}
+
+// Verify a 2FA challenge token
+function verifyTwoFactorChallenge(token) {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.purpose === '2fa_challenge' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
+
 // Verify token
 function verifyAccessToken(token) {
   try {
-    return jwt.verify(token, JWT_SECRET);
+    const decoded = jwt.verify(token, JWT_SECRET);
+    // Purpose-bound tokens (e.g. 2FA challenges) are not access tokens
+    return decoded.purpose ? null : decoded;
   } catch (error) {
     return null;
   }
@@ -95,14 +165,163 @@ function authenticateToken(req, res, next) {
     return res.status(403).json({ error: 'Invalid or expired token' });
   }
 
+  // Tokens issued before roles existed are student tokens
+  if (!decoded.role) decoded.role = ROLES.STUDENT;
+
   req.user = decoded;
   next();
 }
 
+// Middleware to restrict a route to some roles (use after authenticateToken)
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    next();
+  };
+}
+
+// Middleware for routes that also accept a personal API token (browser
+// extension). API tokens must carry the given scope; anything else is
+// treated as a session token by authenticateToken.
+function authenticateTokenOrApiToken(apiTokens, scope) {
+  return async (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+    if (!apiTokens.isApiToken(token)) {
+      return authenticateToken(req, res, next);
+    }
+
+    try {
+      const apiToken = await apiTokens.authenticate(token);
+      if (!apiToken) {
+        return res.status(403).json({ error: 'Invalid or revoked API token' });
+      }
+
+      if (!apiToken.scopes.includes(scope)) {
+        return res.status(403).json({ error: `API token is missing the ${scope} scope` });
+      }
+
+      req.user = {
+        userId: apiToken.studentId,
+        email: apiToken.email,
+        role: ROLES.STUDENT,
+        apiTokenId: apiToken.id
+      };
+      next();
+    } catch (error) {
+      console.error('API token auth error:', error);
+      res.status(500).json({ error: 'Failed to verify API token' });
+    }
+  };
+}
+
+// Middleware for the event stream: EventSource can't send an Authorization
+// header, so a single-use ?ticket= from studentEvents.createTicket is accepted
+// in its place. Without a ticket, the given auth middleware runs instead.
+function acceptStreamTicket(studentEvents, fallback) {
+  return (req, res, next) => {
+    if (!req.query.ticket) {
+      return fallback(req, res, next);
+    }
+
+    const studentId = studentEvents.redeemTicket(req.query.ticket);
+    if (!studentId) {
+      return res.status(403).json({ error: 'Invalid or expired stream ticket' });
+    }
+
+    req.user = { userId: studentId, role: ROLES.STUDENT, streamTicket: true };
+    next();
+  };
+}
+
+// Middleware for /university/:id routes: platform admins see every
+// university, university admins only their own (use after authenticateToken)
+function requireUniversityAccess(param = 'id') {
+  return (req, res, next) => {
+    if (req.user?.role === ROLES.PLATFORM_ADMIN) return next();
+
+    if (req.user?.role === ROLES.UNIVERSITY_ADMIN &&
+        req.user.universityId &&
+        parseInt(req.params[param]) === req.user.universityId) {
+      return next();
+    }
+
+    return res.status(403).json({ error: 'Access denied' });
+  };
+}
+
+// Middleware for /student/:id routes: the token must belong to that student
+// (use after authenticateToken). The id must match exactly: handlers pass
+// req.params.id to queries, where "12abc" or "12.5" would not mean student 12.
+function requireSelf(param = 'id') {
+  return (req, res, next) => {
+    if (!Number.isInteger(req.user?.userId) || String(req.user.userId) !== req.params[param]) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    next();
+  };
+}
+
+// Rows that can be guarded by requireOwnership
+const OWNED_RESOURCES = {
+  assignments: { ownerColumn: 'student_id', label: 'Assignment' },
+  time_logs: { ownerColumn: 'student_id', label: 'Time log' }
+};
+
+// Middleware for routes addressing a row by id (use after authenticateToken).
+// Responds 404 if the row does not exist and 403 if it belongs to another
+// student; otherwise the row is available as req.resource.
+function requireOwnership(db, table, param = 'id') {
+  const resource = OWNED_RESOURCES[table];
+  if (!resource) {
+    throw new Error(`requireOwnership: unsupported table ${table}`);
+  }
+
+  return async (req, res, next) => {
+    const id = parseInt(req.params[param]);
+    if (!Number.isInteger(id)) {
+      return res.status(404).json({ error: `${resource.label} not found` });
+    }
+
+    try {
+      const result = await db.query(`SELECT * FROM ${table} WHERE id = $1`, [id]);
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: `${resource.label} not found` });
+      }
+
+      if (result.rows[0][resource.ownerColumn] !== req.user?.userId) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      req.resource = result.rows[0];
+      next();
+    } catch (error) {
+      console.error('Ownership check error:', error);
+      res.status(500).json({ error: 'Failed to verify ownership' });
+    }
+  };
+}
+
+// Bundled list of passwords that are too common to allow (lowercased)
+const COMMON_PASSWORDS = new Set(
+  fs.readFileSync(path.join(__dirname, 'data', 'common-passwords.txt'), 'utf8')
+    .split('\n')
+    .map(line => line.trim().toLowerCase())
+    .filter(line => line && !line.startsWith('#'))
+);
+
 // Validate password strength
 function validatePassword(password) {
   const errors = [];
 
+  if (typeof password !== 'string') {
+    return { isValid: false, errors: ['Password is required'] };
+  }
+
   if (password.length < 8) {
     errors.push('Password must be at least 8 characters long');
   }
@@ -119,6 +338,10 @@ function validatePassword(password) {
     errors.push('Password must contain at least one number');
   }
 
+  if (COMMON_PASSWORDS.has(password.toLowerCase())) {
+    errors.push('This password is too common. Please choose a less predictable one');
+  }
+
   return {
     isValid: errors.length === 0,
     errors
@@ -132,6 +355,7 @@ function validateEmail(email) {
 }
 
 module.exports = {
+  ROLES,
   authLimiter,
   generateCodename,
   hashPassword,
@@ -140,7 +364,19 @@ module.exports = {
   generateRefreshToken,
   verifyAccessToken,
   verifyRefreshToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  hashToken,
+  generateVerificationCode,
+  hashVerificationCode,
+  hashesMatch,
   authenticateToken,
+  authenticateTokenOrApiToken,
+  acceptStreamTicket,
+  requireRole,
+  requireUniversityAccess,
+  requireSelf,
+  requireOwnership,
   validatePassword,
   validateEmail,
   JWT_SECRET,
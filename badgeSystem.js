@@ -57,6 +57,14 @@ const BADGES = {
     checkCondition: (totalHoursToday) => {
       return totalHoursToday >= 6;
     }
+  },
+  pomodoro_pro: {
+    name: 'Pomodoro Pro',
+    icon: '🍅',
+    message: '4 pomodoros in one day. the tomato respects you',
+    checkCondition: (completedCyclesToday) => {
+      return completedCyclesToday >= 4;
+    }
   }
 };
 
@@ -100,8 +108,22 @@ async function hasAssignmentBadge(pool, studentId, badgeType, assignmentId) {
   return result.rows.length > 0;
 }
 
+// Check if student already earned this badge today (for badges awarded at most once a day)
+async function hasBadgeToday(pool, studentId, badgeType) {
+  const result = await pool.query(
+    `SELECT 1 FROM badges
+     WHERE student_id = $1
+     AND badge_type = $2
+     AND earned_at >= CURRENT_DATE`,
+    [studentId, badgeType]
+  );
+
+  return result.rows.length > 0;
+}
+
 module.exports = {
   BADGES,
   awardBadge,
-  hasAssignmentBadge
+  hasAssignmentBadge,
+  hasBadgeToday
 };
\ No newline at end of file
@@ -3,82 +3,109 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const { Pool } = require('pg');
-const { awardBadge, hasAssignmentBadge, BADGES } = require('./badgeSystem');
+const { awardBadge, hasAssignmentBadge, hasBadgeToday, BADGES } = require('./badgeSystem');
 const StudentStatusDetector = require('./services/studentStatusDetector');
+const SessionManager = require('./services/sessionManager');
+const AccountLockout = require('./services/accountLockout');
+const ApiTokenManager = require('./services/apiTokens');
+const AuditLog = require('./services/auditLog');
+const AccountData = require('./services/accountData');
+const UniversityRegistry = require('./services/universityRegistry');
+const TimeTracker = require('./services/timeTracker');
+const { TRACKING_POLICY, SYNC_POLICY, FOCUS_POLICY } = TimeTracker;
+const TimeLogHistory = require('./services/timeLogHistory');
+const SiteClassifier = require('./services/siteClassifier');
+const TimeLogImporter = require('./services/timeLogImporter');
+const { IMPORT_POLICY } = TimeLogImporter;
+const StudentEvents = require('./services/studentEvents');
+const { STREAM_POLICY } = StudentEvents;
+const PomodoroTimer = require('./services/pomodoroTimer');
+const { POMODORO_PRESETS, POMODORO_POLICY } = PomodoroTimer;
+const { SITE_CATEGORIES, DEFAULT_RULES: DEFAULT_SITE_RULES, MAX_RULES_PER_STUDENT } = SiteClassifier;
+const { SECURITY_EVENTS } = AuditLog;
+const { DELETION_GRACE_DAYS } = AccountData;
+const { API_TOKEN_SCOPES } = ApiTokenManager;
 const {
+  ROLES,
   authLimiter,
   generateCodename,
   hashPassword,
   comparePassword,
   generateAccessToken,
-  generateRefreshToken,
-  verifyRefreshToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  hashToken,
+  generateVerificationCode,
+  hashVerificationCode,
+  hashesMatch,
   authenticateToken,
+  authenticateTokenOrApiToken,
+  acceptStreamTicket,
+  requireRole,
+  requireUniversityAccess,
+  requireSelf,
+  requireOwnership,
   validatePassword,
   validateEmail
 } = require('./auth');
+const {
+  generateTotpSecret,
+  buildOtpauthUri,
+  verifyTotp,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+} = require('./twoFactor');
 
 const crypto = require('crypto');
-const { Resend } = require('resend');
-const resend = new Resend(process.env.RESEND_API_KEY);
+const { resend, sendEmail } = require('./mailer');
 const ical = require('node-ical');
 
 const app = express();
 app.set('trust proxy', 1);
 const PORT = process.env.PORT || 3000;
 
-// University domain mapping
-const universityDomains = {
-  'umontana.edu': { name: 'University of Montana', shortName: 'UMontana', id: 1 },
-  'umt.edu': { name: 'University of Montana', shortName: 'UMontana', id: 1 },
-  'ucla.edu': { name: 'University of California, Los Angeles', shortName: 'UCLA', id: 2 },
-  'berkeley.edu': { name: 'UC Berkeley', shortName: 'Berkeley', id: 3 },
-  'stanford.edu': { name: 'Stanford University', shortName: 'Stanford', id: 4 },
-  'harvard.edu': { name: 'Harvard University', shortName: 'Harvard', id: 5 },
-  'mit.edu': { name: 'Massachusetts Institute of Technology', shortName: 'MIT', id: 6 },
-  'utexas.edu': { name: 'University of Texas at Austin', shortName: 'UT Austin', id: 7 },
-  'umich.edu': { name: 'University of Michigan', shortName: 'UMich', id: 8 },
-  'unc.edu': { name: 'University of North Carolina', shortName: 'UNC', id: 9 },
-  'nyu.edu': { name: 'New York University', shortName: 'NYU', id: 10 },
-  'arizona.edu': { name: 'University of Arizona', shortName: 'UArizona', id: 11 },
-  'email.arizona.edu': { name: 'University of Arizona', shortName: 'UArizona', id: 11 },
-  'asu.edu': { name: 'Arizona State University', shortName: 'ASU', id: 12 },
-  'nau.edu': { name: 'Northern Arizona University', shortName: 'NAU', id: 13 },
-};
-
 // Helper: extract university info from email
-function getUniversityFromEmail(email) {
+// Registered domains (and their subdomains) map to a university in the
+// registry; any other academic domain is accepted but not linked to one.
+async function getUniversityFromEmail(email) {
   const domain = email.split('@')[1]?.toLowerCase();
   if (!domain) return null;
 
-  if (universityDomains[domain]) {
-    return universityDomains[domain];
+  const university = await universityRegistry.lookupDomain(domain);
+  if (university) {
+    return university;
   }
 
-  if (domain.endsWith('.edu')) {
-    const name = domain.replace('.edu', '').split('.').pop();
-    const formattedName = name.charAt(0).toUpperCase() + name.slice(1);
+  if (await universityRegistry.isAcademicDomain(domain)) {
     return {
-      name: `${formattedName} University`,
-      shortName: formattedName,
+      name: null,
+      shortName: null,
       id: null,
-      domain: domain
+      domain: domain,
+      registered: false
     };
   }
 
   return null;
 }
 
-// Helper: check if email is .edu
-function isEduEmail(email) {
+// Helper: check if email is at an academic domain (see academicDomains.js)
+async function isAcademicEmail(email) {
   const domain = email.split('@')[1]?.toLowerCase();
-  return domain?.endsWith('.edu') || false;
+  if (!domain) return false;
+  return universityRegistry.isAcademicDomain(domain);
 }
 
-// Helper: generate 6-digit verification code
-function generateVerificationCode() {
-  return Math.floor(100000 + Math.random() * 900000).toString();
-}
+// Email verification code rules
+const VERIFICATION_CODE_TTL_MINUTES = 10;
+const MAX_VERIFICATION_ATTEMPTS = 5; // wrong guesses before a code is burned
+const VERIFICATION_RESEND_COOLDOWN_SECONDS = 60;
+const MAGIC_LINK_TTL_MINUTES = 15;
+const MAGIC_LINK_RESEND_COOLDOWN_SECONDS = 60;
+const PASSWORD_HISTORY_SIZE = 5; // recent passwords that can't be reused
+const ACCOUNT_PURGE_INTERVAL_MS = 60 * 60 * 1000; // check for accounts past their deletion date hourly
+const TIME_LOG_SWEEP_INTERVAL_MS = 60 * 1000; // close time-tracking sessions that stopped sending heartbeats
+const VERIFIED_EMAIL_WINDOW_MINUTES = 60; // how long a verified code can be used to sign up
 
 // Database connection
 const pool = new Pool({
@@ -87,6 +114,189 @@ const pool = new Pool({
 
 // Initialize status detector with database connection
 const statusDetector = new StudentStatusDetector(pool);
+const sessionManager = new SessionManager(pool);
+const accountLockout = new AccountLockout(pool);
+const apiTokens = new ApiTokenManager(pool);
+const auditLog = new AuditLog(pool);
+const accountData = new AccountData(pool);
+const universityRegistry = new UniversityRegistry(pool);
+const timeTracker = new TimeTracker(pool);
+const timeLogHistory = new TimeLogHistory(pool);
+const siteClassifier = new SiteClassifier(pool);
+const timeLogImporter = new TimeLogImporter(pool);
+const studentEvents = new StudentEvents(pool);
+const pomodoroTimer = new PomodoroTimer(pool);
+
+// Helper: open a device session for a user and issue its token pair
+async function issueTokens(user, req, rememberMe = false) {
+  const { sessionId, refreshToken } = await sessionManager.createSession(user, {
+    deviceName: req.body?.deviceName,
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip,
+    rememberMe
+  });
+  const token = generateAccessToken(user, sessionId);
+
+  await pool.query('UPDATE students SET last_login = NOW() WHERE id = $1', [user.id]);
+
+  return { token, refreshToken, sessionId };
+}
+
+// Helper: reply 429 for an account that is temporarily locked
+function sendLockedOut(res, retryAfter) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: 'Too many failed attempts. Please try again later.',
+    retryAfter
+  });
+}
+
+// Helper: reply 429 while a new code can't be sent yet
+function sendResendCooldown(res, retryAfter) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: `Please wait ${retryAfter} seconds before requesting another code`,
+    retryAfter
+  });
+}
+
+// Helper: count a failed attempt against an account. When it starts a full
+// lockout, the account owner gets an email with a link to unlock right away.
+async function recordFailedAttempt(email, action) {
+  const outcome = await accountLockout.recordFailure(email, action);
+
+  if (outcome.unlockToken) {
+    const student = await pool.query(
+      'SELECT id FROM students WHERE LOWER(email) = LOWER($1)',
+      [email]
+    );
+    if (student.rows.length > 0) {
+      await sendEmail({
+        to: email,
+        subject: 'Your Oumie account was temporarily locked',
+        heading: 'Too many failed attempts',
+        intro: 'We locked sign-in to your account after several failed attempts. If this was you, use the button below to unlock it now.',
+        button: {
+          label: 'Unlock my account',
+          url: `https://oumie.app/unlock-account?token=${outcome.unlockToken}`
+        },
+        note: 'If this was not you, someone may be guessing your password. The lock lifts on its own, and you may want to reset your password.',
+        footer: 'You are receiving this because of failed sign-in attempts on your Oumie account.'
+      });
+    }
+  }
+
+  return outcome;
+}
+
+// Helper: has this email passed /auth/verify-code recently enough to use it?
+async function hasRecentVerification(email) {
+  const result = await pool.query(`
+    SELECT id FROM email_verifications
+    WHERE LOWER(email) = LOWER($1)
+      AND verified = true
+      AND verified_at > NOW() - make_interval(mins => $2)
+  `, [email, VERIFIED_EMAIL_WINDOW_MINUTES]);
+  return result.rows.length > 0;
+}
+
+// Helper: find an account created by the legacy /signup route that has no password yet
+async function findUnclaimedStudent(email) {
+  const result = await pool.query(
+    'SELECT id, name, email, codename FROM students WHERE LOWER(email) = LOWER($1) AND password_hash IS NULL',
+    [email]
+  );
+  return result.rows[0] || null;
+}
+
+// Helper: is this one of the student's last PASSWORD_HISTORY_SIZE passwords?
+async function isRecentPassword(studentId, password) {
+  const result = await pool.query(`
+    SELECT password_hash FROM password_history
+    WHERE student_id = $1
+    ORDER BY created_at DESC, id DESC
+    LIMIT $2
+  `, [studentId, PASSWORD_HISTORY_SIZE]);
+
+  for (const row of result.rows) {
+    if (await comparePassword(password, row.password_hash)) return true;
+  }
+  return false;
+}
+
+// Helper: remember a newly set password hash and forget the oldest ones
+async function recordPasswordHistory(studentId, passwordHash) {
+  await pool.query(
+    'INSERT INTO password_history (student_id, password_hash) VALUES ($1, $2)',
+    [studentId, passwordHash]
+  );
+  await pool.query(`
+    DELETE FROM password_history
+    WHERE student_id = $1
+      AND id NOT IN (
+        SELECT id FROM password_history
+        WHERE student_id = $1
+        ORDER BY created_at DESC, id DESC
+        LIMIT $2
+      )
+  `, [studentId, PASSWORD_HISTORY_SIZE]);
+}
+
+// Helper: pick a codename no other student has
+async function generateUniqueCodename() {
+  let codename = generateCodename();
+  while ((await pool.query('SELECT id FROM students WHERE codename = $1', [codename])).rows.length > 0) {
+    codename = generateCodename();
+  }
+  return codename;
+}
+
+// Helper: check a TOTP code or a one-time recovery code for a student
+// Returns 'totp', 'recovery' or null
+async function verifySecondFactor(student, { code, recoveryCode }) {
+  if (code && student.totp_secret) {
+    const step = verifyTotp(student.totp_secret, code);
+    if (step !== null) {
+      // Each time step is accepted once, so a code seen over a shoulder can't be replayed
+      const result = await pool.query(`
+        UPDATE students SET totp_last_used_step = $1
+        WHERE id = $2 AND (totp_last_used_step IS NULL OR totp_last_used_step < $1)
+        RETURNING id
+      `, [step, student.id]);
+      if (result.rows.length > 0) return 'totp';
+    }
+  }
+
+  if (recoveryCode) {
+    const result = await pool.query(`
+      UPDATE two_factor_recovery_codes SET used_at = NOW()
+      WHERE id = (
+        SELECT id FROM two_factor_recovery_codes
+        WHERE student_id = $1 AND code_hash = $2 AND used_at IS NULL
+        LIMIT 1
+      )
+      RETURNING id
+    `, [student.id, hashToken(normalizeRecoveryCode(recoveryCode))]);
+    if (result.rows.length > 0) return 'recovery';
+  }
+
+  return null;
+}
+
+// Helper: replace a student's recovery codes, returning the new plain-text codes
+async function replaceRecoveryCodes(studentId) {
+  const codes = generateRecoveryCodes();
+
+  await pool.query('DELETE FROM two_factor_recovery_codes WHERE student_id = $1', [studentId]);
+  for (const code of codes) {
+    await pool.query(
+      'INSERT INTO two_factor_recovery_codes (student_id, code_hash) VALUES ($1, $2)',
+      [studentId, hashToken(normalizeRecoveryCode(code))]
+    );
+  }
+
+  return codes;
+}
 
 // CORS must be FIRST, before any routes
 app.use(cors({
@@ -115,11 +325,13 @@ app.use(cors({
     callback(new Error('Not allowed by CORS'));
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
 // Then JSON parser
+// Imports carry whole export files, so that route gets a larger limit first
+app.use('/time-log/import', express.json({ limit: IMPORT_POLICY.maxBodySize }));
 app.use(express.json());
 
 // Health check route (for Render deployment)
@@ -154,7 +366,7 @@ app.get('/', async (req, res) => {
 // EMAIL VERIFICATION ENDPOINTS
 // ============================================
 
-// Check if email is a valid .edu address
+// Check if email is a valid academic address
 app.post('/auth/check-email', async (req, res) => {
   const { email } = req.body;
 
@@ -162,20 +374,26 @@ app.post('/auth/check-email', async (req, res) => {
     return res.status(400).json({ error: 'Email is required' });
   }
 
-  const isEdu = isEduEmail(email);
-  const university = getUniversityFromEmail(email);
+  try {
+    const isAcademic = await isAcademicEmail(email);
+    const university = await getUniversityFromEmail(email);
 
-  res.json({
-    isValid: isEdu,
-    isEdu: isEdu,
-    university: university,
-    message: isEdu
-      ? `Great! We detected you're from ${university?.name || 'a university'}`
-      : 'Please use your university .edu email address'
-  });
+    res.json({
+      isValid: isAcademic,
+      isAcademic: isAcademic,
+      isEdu: isAcademic, // kept for older clients
+      university: university,
+      message: isAcademic
+        ? `Great! We detected you're from ${university?.name || 'a university'}`
+        : 'Please use your university email address'
+    });
+  } catch (error) {
+    console.error('Check email error:', error);
+    res.status(500).json({ error: 'Failed to check email' });
+  }
 });
 
-// Send verification code to .edu email
+// Send verification code to an academic email
 app.post('/auth/send-verification', async (req, res) => {
   const { email } = req.body;
 
@@ -183,23 +401,43 @@ app.post('/auth/send-verification', async (req, res) => {
     return res.status(400).json({ error: 'Email is required' });
   }
 
-  if (!isEduEmail(email)) {
-    return res.status(400).json({ error: 'Please use a valid .edu email address' });
-  }
-
+  const normalizedEmail = email.toLowerCase();
   const code = generateVerificationCode();
-  const expiresAt = new Date(Date.now() + 10 * 60 * 1000);
 
   try {
-    await pool.query(`
-      INSERT INTO email_verifications (email, code, expires_at)
-      VALUES ($1, $2, $3)
+    // Legacy accounts may predate the academic-domain rule and still need a code
+    // to be claimed. Other non-academic addresses go through the same steps
+    // without an email, so the response never tells whether such an account
+    // exists (/auth/check-email is where signup learns the address won't do).
+    const deliver = (await isAcademicEmail(email)) || !!(await findUnclaimedStudent(email));
+
+    // Only replaces the code once the resend cooldown has passed
+    const upsert = await pool.query(`
+      INSERT INTO email_verifications (email, code_hash, expires_at, attempts, last_sent_at)
+      VALUES ($1, $2, NOW() + make_interval(mins => $3), 0, NOW())
       ON CONFLICT (email)
-      DO UPDATE SET code = $2, expires_at = $3, verified = false
-    `, [email.toLowerCase(), code, expiresAt]);
+      DO UPDATE SET code = NULL,
+                    code_hash = EXCLUDED.code_hash,
+                    expires_at = EXCLUDED.expires_at,
+                    attempts = 0,
+                    verified = false,
+                    verified_at = NULL,
+                    last_sent_at = NOW()
+      WHERE email_verifications.last_sent_at IS NULL
+         OR email_verifications.last_sent_at <= NOW() - make_interval(secs => $4)
+      RETURNING id
+    `, [normalizedEmail, hashVerificationCode(normalizedEmail, code), VERIFICATION_CODE_TTL_MINUTES, VERIFICATION_RESEND_COOLDOWN_SECONDS]);
+
+    if (upsert.rows.length === 0) {
+      const cooldown = await pool.query(`
+        SELECT GREATEST(1, CEIL(EXTRACT(EPOCH FROM (last_sent_at + make_interval(secs => $2) - NOW()))))::int AS retry_after
+        FROM email_verifications WHERE email = $1
+      `, [normalizedEmail, VERIFICATION_RESEND_COOLDOWN_SECONDS]);
+      return sendResendCooldown(res, cooldown.rows[0]?.retry_after || VERIFICATION_RESEND_COOLDOWN_SECONDS);
+    }
 
     // Send real email via Resend
-    if (process.env.RESEND_API_KEY) {
+    if (deliver && process.env.RESEND_API_KEY) {
       try {
         await resend.emails.send({
           from: 'Oumie <noreply@oumie.app>',
@@ -243,13 +481,15 @@ app.post('/auth/send-verification', async (req, res) => {
       } catch (emailError) {
         console.error('Email send error:', emailError);
       }
-    } else {
+    } else if (deliver) {
       console.log('No RESEND_API_KEY - Code for ' + email + ': ' + code);
     }
 
     res.json({
       success: true,
-      message: 'Verification code sent to your email'
+      message: 'Verification code sent to your email',
+      expiresIn: VERIFICATION_CODE_TTL_MINUTES * 60,
+      retryAfter: VERIFICATION_RESEND_COOLDOWN_SECONDS
     });
   } catch (error) {
     console.error('Send verification error:', error);
@@ -266,21 +506,57 @@ app.post('/auth/verify-code', async (req, res) => {
   }
 
   try {
+    const lock = await accountLockout.check(email, 'verify_code');
+    if (lock.locked) {
+      return sendLockedOut(res, lock.retryAfter);
+    }
+
     const result = await pool.query(`
-      SELECT * FROM email_verifications
-      WHERE LOWER(email) = LOWER($1) AND code = $2 AND expires_at > NOW()
-    `, [email.toLowerCase(), code]);
+      SELECT code_hash, attempts, (expires_at > NOW()) AS is_current
+      FROM email_verifications
+      WHERE LOWER(email) = LOWER($1)
+    `, [email]);
+    const record = result.rows[0];
+
+    if (!record || !record.code_hash || !record.is_current) {
+      const failure = await recordFailedAttempt(email, 'verify_code');
+      return res.status(400).json({
+        error: 'Invalid or expired code',
+        ...(failure.retryAfter > 0 && { retryAfter: failure.retryAfter })
+      });
+    }
 
-    if (result.rows.length === 0) {
-      return res.status(400).json({ error: 'Invalid or expired code' });
+    if (!hashesMatch(record.code_hash, hashVerificationCode(email, code))) {
+      // Burn the code once it has been guessed at too often
+      const updated = await pool.query(`
+        UPDATE email_verifications
+        SET attempts = attempts + 1,
+            code_hash = CASE WHEN attempts + 1 >= $2 THEN NULL ELSE code_hash END
+        WHERE LOWER(email) = LOWER($1)
+        RETURNING attempts
+      `, [email, MAX_VERIFICATION_ATTEMPTS]);
+      const attemptsRemaining = Math.max(0, MAX_VERIFICATION_ATTEMPTS - updated.rows[0].attempts);
+      const failure = await recordFailedAttempt(email, 'verify_code');
+
+      return res.status(400).json({
+        error: attemptsRemaining > 0
+          ? 'Invalid code'
+          : 'Too many incorrect attempts. Please request a new code.',
+        attemptsRemaining,
+        ...(failure.retryAfter > 0 && { retryAfter: failure.retryAfter })
+      });
     }
 
-    // Mark as verified
+    await accountLockout.reset(email, 'verify_code');
+
+    // Mark as verified; the code itself is single-use
     await pool.query(`
-      UPDATE email_verifications SET verified = true WHERE LOWER(email) = LOWER($1)
-    `, [email.toLowerCase()]);
+      UPDATE email_verifications
+      SET verified = true, verified_at = NOW(), code_hash = NULL
+      WHERE LOWER(email) = LOWER($1)
+    `, [email]);
 
-    const university = getUniversityFromEmail(email);
+    const university = await getUniversityFromEmail(email);
 
     res.json({
       success: true,
@@ -312,6 +588,11 @@ app.post('/auth/signup', authLimiter, async (req, res) => {
             return res.status(400).json({ error: 'Invalid email format' });
         }
 
+        // /auth/send-verification accepts any address, so the domain is checked here
+        if (!(await isAcademicEmail(email))) {
+            return res.status(400).json({ error: 'Please use your university email address' });
+        }
+
         // Validate password strength
         const passwordValidation = validatePassword(password);
         if (!passwordValidation.isValid) {
@@ -331,15 +612,16 @@ app.post('/auth/signup', authLimiter, async (req, res) => {
             return res.status(400).json({ error: 'Email already registered' });
         }
 
-        // Check if email was verified through the verification flow
-        const verificationRecord = await pool.query(
-            'SELECT verified FROM email_verifications WHERE LOWER(email) = LOWER($1)',
-            [email.toLowerCase()]
-        );
-        const emailVerified = verificationRecord.rows.length > 0 && verificationRecord.rows[0].verified;
+        // The email must have been verified through /auth/verify-code recently
+        if (!(await hasRecentVerification(email))) {
+            return res.status(400).json({
+                error: 'Please verify your email before creating an account',
+                code: 'EMAIL_NOT_VERIFIED'
+            });
+        }
 
         // Extract university info from email domain
-        const detectedUniversity = getUniversityFromEmail(email);
+        const detectedUniversity = await getUniversityFromEmail(email);
         const resolvedUniversity = university || detectedUniversity?.name || null;
         const resolvedDomain = universityDomain || email.split('@')[1]?.toLowerCase() || null;
         const resolvedUniversityId = detectedUniversity?.id || null;
@@ -348,31 +630,21 @@ app.post('/auth/signup', authLimiter, async (req, res) => {
         const passwordHash = await hashPassword(password);
 
         // Generate unique codename
-        let codename = generateCodename();
-        let codenameExists = true;
-
-        // Ensure codename is unique
-        while (codenameExists) {
-            const check = await pool.query(
-                'SELECT id FROM students WHERE codename = $1',
-                [codename]
-            );
-            if (check.rows.length === 0) {
-                codenameExists = false;
-            } else {
-                codename = generateCodename();
-            }
-        }
+        const codename = await generateUniqueCodename();
 
         // Insert student into database
         const studentResult = await pool.query(
             `INSERT INTO students (name, email, password_hash, university, codename, email_verified, university_domain, university_id, timezone)
              VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-             RETURNING id, name, email, university, codename, created_at`,
-            [name, email, passwordHash, resolvedUniversity, codename, emailVerified, resolvedDomain, resolvedUniversityId, timezone || 'America/New_York']
+             RETURNING id, name, email, university, codename, role, university_id, created_at`,
+            [name, email, passwordHash, resolvedUniversity, codename, true, resolvedDomain, resolvedUniversityId, timezone || 'America/New_York']
         );
 
         const newStudent = studentResult.rows[0];
+        await recordPasswordHistory(newStudent.id, passwordHash);
+
+        // A verification is good for one account
+        await pool.query('DELETE FROM email_verifications WHERE LOWER(email) = LOWER($1)', [email]);
 
         // Create default profile for this student
         await pool.query(
@@ -380,15 +652,9 @@ app.post('/auth/signup', authLimiter, async (req, res) => {
             [newStudent.id]
         );
 
-        // Generate tokens
-        const token = generateAccessToken(newStudent.id, newStudent.email, false);
-        const refreshToken = generateRefreshToken(newStudent.id, newStudent.email);
-
-        // Store refresh token
-        await pool.query(
-            'UPDATE students SET refresh_token = $1, last_login = NOW() WHERE id = $2',
-            [refreshToken, newStudent.id]
-        );
+        // Generate tokens for this device
+        const { token, refreshToken } = await issueTokens(newStudent, req);
+        await auditLog.record(req, { type: SECURITY_EVENTS.SIGNUP, studentId: newStudent.id, email: newStudent.email });
 
         res.status(201).json({
             message: 'Account created successfully',
@@ -408,6 +674,103 @@ app.post('/auth/signup', authLimiter, async (req, res) => {
     }
 });
 
+// Claim a legacy account (created by /signup, no password) by verifying the email
+// through /auth/send-verification + /auth/verify-code and choosing a password.
+// The student row is kept, so existing time logs and assignments stay attached.
+app.post('/auth/claim', authLimiter, async (req, res) => {
+    const { email, password, rememberMe } = req.body;
+
+    try {
+        if (!email || !password) {
+            return res.status(400).json({ error: 'Email and password are required' });
+        }
+
+        const passwordValidation = validatePassword(password);
+        if (!passwordValidation.isValid) {
+            return res.status(400).json({
+                error: 'Password does not meet requirements',
+                details: passwordValidation.errors
+            });
+        }
+
+        const unclaimed = await findUnclaimedStudent(email);
+        if (!unclaimed) {
+            return res.status(400).json({ error: 'No unclaimed account found for this email' });
+        }
+
+        if (!(await hasRecentVerification(email))) {
+            return res.status(400).json({
+                error: 'Please verify your email before claiming your account',
+                code: 'EMAIL_NOT_VERIFIED'
+            });
+        }
+
+        const detectedUniversity = await getUniversityFromEmail(email);
+        const passwordHash = await hashPassword(password);
+        const codename = unclaimed.codename || await generateUniqueCodename();
+
+        // password_hash IS NULL guards against two claims racing each other
+        const result = await pool.query(
+            `UPDATE students
+             SET password_hash = $1,
+                 codename = $2,
+                 email_verified = true,
+                 university_domain = COALESCE(university_domain, $3),
+                 university_id = COALESCE(university_id, $4),
+                 university = COALESCE(university, $5)
+             WHERE id = $6 AND password_hash IS NULL
+             RETURNING id, name, email, university, codename, role, university_id`,
+            [
+                passwordHash,
+                codename,
+                email.split('@')[1].toLowerCase(),
+                detectedUniversity?.id || null,
+                detectedUniversity?.name || null,
+                unclaimed.id
+            ]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(409).json({ error: 'This account has already been claimed' });
+        }
+
+        const student = result.rows[0];
+        await recordPasswordHistory(student.id, passwordHash);
+
+        // A verification is good for one account
+        await pool.query('DELETE FROM email_verifications WHERE LOWER(email) = LOWER($1)', [email]);
+
+        // Very old accounts may be missing their profile row
+        await pool.query(
+            `INSERT INTO student_profiles (student_id)
+             SELECT $1 WHERE NOT EXISTS (SELECT 1 FROM student_profiles WHERE student_id = $1)`,
+            [student.id]
+        );
+
+        await accountLockout.reset(email, 'login');
+
+        const { token, refreshToken } = await issueTokens(student, req, !!rememberMe);
+        await auditLog.record(req, { type: SECURITY_EVENTS.ACCOUNT_CLAIM, studentId: student.id, email: student.email });
+
+        res.json({
+            message: 'Account claimed successfully',
+            token,
+            refreshToken,
+            user: {
+                id: student.id,
+                name: student.name,
+                email: student.email,
+                university: student.university,
+                codename: student.codename,
+                role: student.role
+            }
+        });
+    } catch (error) {
+        console.error('Claim account error:', error);
+        res.status(500).json({ error: 'Failed to claim account' });
+    }
+});
+
 // Login endpoint
 app.post('/auth/login', authLimiter, async (req, res) => {
     const { email, password, rememberMe } = req.body;
@@ -418,22 +781,36 @@ app.post('/auth/login', authLimiter, async (req, res) => {
             return res.status(400).json({ error: 'Email and password are required' });
         }
 
+        // Per-account lockout (on top of the per-IP authLimiter)
+        const lock = await accountLockout.check(email, 'login');
+        if (lock.locked) {
+            await auditLog.record(req, { type: SECURITY_EVENTS.LOGIN, outcome: 'blocked', email, details: { reason: 'locked' } });
+            return sendLockedOut(res, lock.retryAfter);
+        }
+
         // Find user by email
         const result = await pool.query(
-            'SELECT id, name, email, password_hash, university, codename FROM students WHERE LOWER(email) = LOWER($1)',
+            'SELECT id, name, email, password_hash, university, codename, role, university_id, totp_enabled FROM students WHERE LOWER(email) = LOWER($1)',
             [email]
         );
 
         if (result.rows.length === 0) {
-            return res.status(401).json({ error: 'Invalid email or password' });
+            const failure = await recordFailedAttempt(email, 'login');
+            await auditLog.record(req, { type: SECURITY_EVENTS.LOGIN, outcome: 'failure', email, details: { reason: 'unknown_email' } });
+            return res.status(401).json({
+                error: 'Invalid email or password',
+                ...(failure.retryAfter > 0 && { retryAfter: failure.retryAfter })
+            });
         }
 
         const user = result.rows[0];
 
-        // Check if password hash exists (for backward compatibility with old accounts)
+        // Accounts from the legacy /signup route have no password until claimed
         if (!user.password_hash) {
+            await auditLog.record(req, { type: SECURITY_EVENTS.LOGIN, outcome: 'failure', studentId: user.id, email, details: { reason: 'unclaimed' } });
             return res.status(401).json({
-                error: 'Account not set up with password. Please contact support or create a new account.'
+                error: 'This account has no password yet. Verify your email to claim it and set one.',
+                code: 'ACCOUNT_UNCLAIMED'
             });
         }
 
@@ -441,18 +818,35 @@ app.post('/auth/login', authLimiter, async (req, res) => {
         const isPasswordValid = await comparePassword(password, user.password_hash);
 
         if (!isPasswordValid) {
-            return res.status(401).json({ error: 'Invalid email or password' });
+            const failure = await recordFailedAttempt(email, 'login');
+            await auditLog.record(req, {
+                type: SECURITY_EVENTS.LOGIN,
+                outcome: 'failure',
+                studentId: user.id,
+                email,
+                details: { reason: 'bad_password', attempts: failure.attempts }
+            });
+            return res.status(401).json({
+                error: 'Invalid email or password',
+                ...(failure.retryAfter > 0 && { retryAfter: failure.retryAfter })
+            });
         }
 
-        // Generate tokens (with longer expiry if rememberMe is true)
-        const token = generateAccessToken(user.id, user.email, rememberMe);
-        const refreshToken = generateRefreshToken(user.id, user.email);
+        await accountLockout.reset(email, 'login');
 
-        // Store refresh token and update last login
-        await pool.query(
-            'UPDATE students SET refresh_token = $1, last_login = NOW() WHERE id = $2',
-            [refreshToken, user.id]
-        );
+        // With 2FA on, the password alone only earns a challenge for /auth/login/2fa
+        if (user.totp_enabled) {
+            await auditLog.record(req, { type: SECURITY_EVENTS.LOGIN, studentId: user.id, email, details: { twoFactorRequired: true } });
+            return res.json({
+                twoFactorRequired: true,
+                challengeToken: generateTwoFactorChallenge(user.id, rememberMe),
+                message: 'Enter the code from your authenticator app'
+            });
+        }
+
+        // Open a session for this device (longer-lived if rememberMe is true)
+        const { token, refreshToken, sessionId } = await issueTokens(user, req, !!rememberMe);
+        await auditLog.record(req, { type: SECURITY_EVENTS.LOGIN, studentId: user.id, email, details: { sessionId } });
 
         res.json({
             message: 'Login successful',
@@ -463,7 +857,8 @@ app.post('/auth/login', authLimiter, async (req, res) => {
                 name: user.name,
                 email: user.email,
                 university: user.university,
-                codename: user.codename
+                codename: user.codename,
+                role: user.role
             }
         });
     } catch (error) {
@@ -472,6 +867,200 @@ app.post('/auth/login', authLimiter, async (req, res) => {
     }
 });
 
+// Second login step for accounts with 2FA enabled
+app.post('/auth/login/2fa', authLimiter, async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+        return res.status(400).json({ error: 'Challenge token and code are required' });
+    }
+
+    const challenge = verifyTwoFactorChallenge(challengeToken);
+    if (!challenge) {
+        return res.status(401).json({ error: 'Login challenge is invalid or expired. Please sign in again.' });
+    }
+
+    try {
+        const result = await pool.query(
+            `SELECT id, name, email, university, codename, role, university_id, totp_enabled, totp_secret
+             FROM students WHERE id = $1`,
+            [challenge.userId]
+        );
+        const user = result.rows[0];
+
+        if (!user || !user.totp_enabled) {
+            return res.status(401).json({ error: 'Login challenge is invalid or expired. Please sign in again.' });
+        }
+
+        // Guessing 2FA codes counts against the same login counter
+        const lock = await accountLockout.check(user.email, 'login');
+        if (lock.locked) {
+            await auditLog.record(req, { type: SECURITY_EVENTS.LOGIN_2FA, outcome: 'blocked', studentId: user.id, email: user.email, details: { reason: 'locked' } });
+            return sendLockedOut(res, lock.retryAfter);
+        }
+
+        const method = await verifySecondFactor(user, { code, recoveryCode });
+        if (!method) {
+            const failure = await recordFailedAttempt(user.email, 'login');
+            await auditLog.record(req, { type: SECURITY_EVENTS.LOGIN_2FA, outcome: 'failure', studentId: user.id, email: user.email, details: { reason: 'bad_code' } });
+            return res.status(401).json({
+                error: 'Invalid authentication code',
+                ...(failure.retryAfter > 0 && { retryAfter: failure.retryAfter })
+            });
+        }
+
+        await accountLockout.reset(user.email, 'login');
+
+        const { token, refreshToken, sessionId } = await issueTokens(user, req, !!challenge.rememberMe);
+        await auditLog.record(req, { type: SECURITY_EVENTS.LOGIN_2FA, studentId: user.id, email: user.email, details: { method, sessionId } });
+
+        const response = {
+            message: 'Login successful',
+            token,
+            refreshToken,
+            user: {
+                id: user.id,
+                name: user.name,
+                email: user.email,
+                university: user.university,
+                codename: user.codename,
+                role: user.role
+            }
+        };
+
+        if (method === 'recovery') {
+            const remaining = await pool.query(
+                'SELECT COUNT(*) FROM two_factor_recovery_codes WHERE student_id = $1 AND used_at IS NULL',
+                [user.id]
+            );
+            response.recoveryCodesRemaining = parseInt(remaining.rows[0].count);
+        }
+
+        res.json(response);
+    } catch (error) {
+        console.error('2FA login error:', error);
+        res.status(500).json({ error: 'Login failed' });
+    }
+});
+
+// Magic link - email a single-use sign-in link
+app.post('/auth/magic-link', authLimiter, async (req, res) => {
+  const { email } = req.body;
+  if (!email || !validateEmail(email)) {
+    return res.status(400).json({ error: 'A valid email is required' });
+  }
+
+  try {
+    // Always return success to avoid revealing whether email exists.
+    // Unclaimed legacy accounts go through /auth/claim instead.
+    const userResult = await pool.query(
+      'SELECT id FROM students WHERE LOWER(email) = LOWER($1) AND password_hash IS NOT NULL',
+      [email]
+    );
+
+    // Within the resend cooldown no new link is sent, but the response stays
+    // the same so it can't tell which addresses have accounts
+    const normalizedEmail = email.toLowerCase();
+    const recent = await pool.query(
+      'SELECT 1 FROM magic_links WHERE email = $1 AND created_at > NOW() - make_interval(secs => $2)',
+      [normalizedEmail, MAGIC_LINK_RESEND_COOLDOWN_SECONDS]
+    );
+
+    if (userResult.rows.length > 0 && recent.rows.length === 0) {
+      const token = crypto.randomBytes(32).toString('hex');
+
+      // Only the newest link works
+      await pool.query('DELETE FROM magic_links WHERE email = $1', [normalizedEmail]);
+
+      await pool.query(
+        'INSERT INTO magic_links (email, token_hash, expires_at, used) VALUES ($1, $2, NOW() + make_interval(mins => $3), false)',
+        [normalizedEmail, hashToken(token), MAGIC_LINK_TTL_MINUTES]
+      );
+
+      await sendEmail({
+        to: email,
+        subject: 'Your Oumie sign-in link',
+        heading: 'Sign in to Oumie',
+        intro: `Tap the button below to sign in. This link expires in ${MAGIC_LINK_TTL_MINUTES} minutes and works once.`,
+        button: {
+          label: 'Sign in',
+          url: `https://oumie.app/magic-link?token=${token}`
+        },
+        footer: "If you didn't request this link, you can safely ignore this email."
+      });
+    }
+
+    res.json({ success: true, message: 'If that email exists, a sign-in link has been sent' });
+  } catch (error) {
+    console.error('Magic link error:', error);
+    res.status(500).json({ error: 'Failed to process request' });
+  }
+});
+
+// Magic link - trade the link token for a session
+app.post('/auth/magic-link/verify', authLimiter, async (req, res) => {
+  const { token, rememberMe } = req.body;
+  if (!token) {
+    return res.status(400).json({ error: 'Token is required' });
+  }
+
+  try {
+    // Consume the link in the same statement that checks it, so it can't be used twice
+    const linkResult = await pool.query(`
+      UPDATE magic_links SET used = true
+      WHERE token_hash = $1 AND used = false AND expires_at > NOW()
+      RETURNING email
+    `, [hashToken(token)]);
+
+    if (linkResult.rows.length === 0) {
+      await auditLog.record(req, { type: SECURITY_EVENTS.MAGIC_LINK_LOGIN, outcome: 'failure', details: { reason: 'invalid_link' } });
+      return res.status(400).json({ error: 'Sign-in link is invalid or expired' });
+    }
+
+    // Opening the link proves the student owns the address
+    const result = await pool.query(`
+      UPDATE students SET email_verified = true
+      WHERE LOWER(email) = LOWER($1) AND password_hash IS NOT NULL
+      RETURNING id, name, email, university, codename, role, university_id, totp_enabled
+    `, [linkResult.rows[0].email]);
+    const user = result.rows[0];
+
+    if (!user) {
+      return res.status(400).json({ error: 'Sign-in link is invalid or expired' });
+    }
+
+    // The link replaces the password, not the second factor
+    if (user.totp_enabled) {
+      await auditLog.record(req, { type: SECURITY_EVENTS.MAGIC_LINK_LOGIN, studentId: user.id, email: user.email, details: { twoFactorRequired: true } });
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallenge(user.id, rememberMe),
+        message: 'Enter the code from your authenticator app'
+      });
+    }
+
+    const { token: accessToken, refreshToken, sessionId } = await issueTokens(user, req, !!rememberMe);
+    await auditLog.record(req, { type: SECURITY_EVENTS.MAGIC_LINK_LOGIN, studentId: user.id, email: user.email, details: { sessionId } });
+
+    res.json({
+      message: 'Login successful',
+      token: accessToken,
+      refreshToken,
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        university: user.university,
+        codename: user.codename,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error('Magic link verify error:', error);
+    res.status(500).json({ error: 'Failed to sign in' });
+  }
+});
+
 // Password reset - request reset link
 // Requires table: CREATE TABLE IF NOT EXISTS password_resets (id SERIAL PRIMARY KEY, email TEXT NOT NULL, token TEXT NOT NULL UNIQUE, expires_at TIMESTAMP NOT NULL, used BOOLEAN DEFAULT false, created_at TIMESTAMP DEFAULT NOW());
 app.post('/auth/forgot-password', authLimiter, async (req, res) => {
@@ -491,6 +1080,8 @@ app.post('/auth/forgot-password', authLimiter, async (req, res) => {
       const token = crypto.randomBytes(32).toString('hex');
       const normalizedEmail = email.toLowerCase();
 
+      await auditLog.record(req, { type: SECURITY_EVENTS.PASSWORD_RESET_REQUEST, studentId: userResult.rows[0].id, email });
+
       // Remove any existing reset tokens for this email
       await pool.query('DELETE FROM password_resets WHERE email = $1', [normalizedEmail]);
 
@@ -503,7 +1094,8 @@ app.post('/auth/forgot-password', authLimiter, async (req, res) => {
       // Send reset email via Resend
       if (process.env.RESEND_API_KEY) {
         try {
-          const resetLink = `https://oumie.app/reset-password?token=${token}`;
+          // The email names the account whose reset counter a wrong token counts against
+          const resetLink = `https://oumie.app/reset-password?token=${token}&email=${encodeURIComponent(normalizedEmail)}`;
           await resend.emails.send({
             from: 'Oumie <noreply@oumie.app>',
             to: email,
@@ -553,15 +1145,26 @@ app.post('/auth/forgot-password', authLimiter, async (req, res) => {
   }
 });
 
-// Password reset - verify token validity
-app.get('/auth/verify-reset-token/:token', async (req, res) => {
+// Password reset - verify token validity (?email= from the reset link)
+app.get('/auth/verify-reset-token/:token', authLimiter, async (req, res) => {
   const { token } = req.params;
+  const email = typeof req.query.email === 'string' ? req.query.email : '';
+  if (!email) {
+    return res.status(400).json({ error: 'Email is required' });
+  }
+
   try {
+    const lock = await accountLockout.check(email, 'reset_password');
+    if (lock.locked) {
+      return sendLockedOut(res, lock.retryAfter);
+    }
+
     const result = await pool.query(
-      'SELECT id FROM password_resets WHERE token = $1 AND used = false AND expires_at > NOW()',
-      [token]
+      'SELECT id FROM password_resets WHERE token = $1 AND email = LOWER($2) AND used = false AND expires_at > NOW()',
+      [token, email]
     );
     if (result.rows.length === 0) {
+      await recordFailedAttempt(email, 'reset_password');
       return res.json({ valid: false, message: 'Reset link is invalid or expired' });
     }
     res.json({ valid: true });
@@ -572,36 +1175,85 @@ app.get('/auth/verify-reset-token/:token', async (req, res) => {
 });
 
 // Password reset - set new password
+// Tokens are checked against the account named in the link, so guesses are
+// counted per account however many IPs they come from.
 app.post('/auth/reset-password', authLimiter, async (req, res) => {
-  const { token, newPassword } = req.body;
-  if (!token || !newPassword) {
-    return res.status(400).json({ error: 'Token and new password are required' });
+  const { token, email, newPassword } = req.body;
+  if (!token || typeof email !== 'string' || !email || !newPassword) {
+    return res.status(400).json({ error: 'Token, email and new password are required' });
   }
 
   try {
+    const lock = await accountLockout.check(email, 'reset_password');
+    if (lock.locked) {
+      await auditLog.record(req, { type: SECURITY_EVENTS.PASSWORD_RESET, outcome: 'blocked', email, details: { reason: 'locked' } });
+      return sendLockedOut(res, lock.retryAfter);
+    }
+
     const resetResult = await pool.query(
-      'SELECT email FROM password_resets WHERE token = $1 AND used = false AND expires_at > NOW()',
-      [token]
+      'SELECT (used = false AND expires_at > NOW()) AS is_valid FROM password_resets WHERE token = $1 AND email = LOWER($2)',
+      [token, email]
     );
 
-    if (resetResult.rows.length === 0) {
+    if (resetResult.rows.length === 0 || !resetResult.rows[0].is_valid) {
+      const failure = await recordFailedAttempt(email, 'reset_password');
+      await auditLog.record(req, {
+        type: SECURITY_EVENTS.PASSWORD_RESET,
+        outcome: 'failure',
+        email,
+        details: { reason: resetResult.rows.length === 0 ? 'unknown_link' : 'expired_or_used_link' }
+      });
+      return res.status(400).json({
+        error: 'Reset link is invalid or expired',
+        ...(failure.retryAfter > 0 && { retryAfter: failure.retryAfter })
+      });
+    }
+
+    // The link stays usable if the new password is rejected
+    const passwordValidation = validatePassword(newPassword);
+    if (!passwordValidation.isValid) {
+      return res.status(400).json({
+        error: 'Password does not meet requirements',
+        details: passwordValidation.errors
+      });
+    }
+
+    const studentResult = await pool.query(
+      'SELECT id FROM students WHERE LOWER(email) = LOWER($1)',
+      [email]
+    );
+    const student = studentResult.rows[0];
+    if (!student) {
       return res.status(400).json({ error: 'Reset link is invalid or expired' });
     }
 
-    const { email } = resetResult.rows[0];
+    if (await isRecentPassword(student.id, newPassword)) {
+      return res.status(400).json({
+        error: `Please choose a password you haven't used for your last ${PASSWORD_HISTORY_SIZE} passwords`
+      });
+    }
 
     const passwordHash = await hashPassword(newPassword);
 
+    // Whoever knew the old password is signed out everywhere
     await pool.query(
-      'UPDATE students SET password_hash = $1 WHERE LOWER(email) = LOWER($2)',
-      [passwordHash, email]
+      'UPDATE students SET password_hash = $1, refresh_token = NULL WHERE id = $2',
+      [passwordHash, student.id]
     );
+    await recordPasswordHistory(student.id, passwordHash);
+    await sessionManager.revokeAllSessions(student.id, 'password_reset');
 
     await pool.query(
       'UPDATE password_resets SET used = true WHERE token = $1',
       [token]
     );
 
+    // A successful reset clears every lock on the account
+    await accountLockout.reset(email, 'reset_password');
+    await accountLockout.reset(email, 'login');
+
+    await auditLog.record(req, { type: SECURITY_EVENTS.PASSWORD_RESET, studentId: student.id, email });
+
     res.json({ success: true, message: 'Password reset successfully' });
   } catch (error) {
     console.error('Reset password error:', error);
@@ -609,26 +1261,140 @@ app.post('/auth/reset-password', authLimiter, async (req, res) => {
   }
 });
 
-// Refresh token endpoint
-app.post('/auth/refresh', async (req, res) => {
-    const { refreshToken } = req.body;
+// Change password while signed in (needs the current password)
+// Every other device is signed out; the current session stays.
+app.post('/auth/change-password', authenticateToken, async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  if (!currentPassword || !newPassword) {
+    return res.status(400).json({ error: 'Current and new password are required' });
+  }
 
-    if (!refreshToken) {
+  try {
+    const result = await pool.query(
+      'SELECT id, email, password_hash FROM students WHERE id = $1',
+      [req.user.userId]
+    );
+    const student = result.rows[0];
+
+    if (!student || !student.password_hash) {
+      return res.status(400).json({ error: 'This account has no password yet' });
+    }
+
+    // Guessing the current password counts against the login counter
+    const lock = await accountLockout.check(student.email, 'login');
+    if (lock.locked) {
+      await auditLog.record(req, { type: SECURITY_EVENTS.PASSWORD_CHANGE, outcome: 'blocked', details: { reason: 'locked' } });
+      return sendLockedOut(res, lock.retryAfter);
+    }
+
+    if (!(await comparePassword(currentPassword, student.password_hash))) {
+      const failure = await recordFailedAttempt(student.email, 'login');
+      await auditLog.record(req, { type: SECURITY_EVENTS.PASSWORD_CHANGE, outcome: 'failure', details: { reason: 'bad_password' } });
+      return res.status(401).json({
+        error: 'Current password is incorrect',
+        ...(failure.retryAfter > 0 && { retryAfter: failure.retryAfter })
+      });
+    }
+
+    const passwordValidation = validatePassword(newPassword);
+    if (!passwordValidation.isValid) {
+      return res.status(400).json({
+        error: 'Password does not meet requirements',
+        details: passwordValidation.errors
+      });
+    }
+
+    if (await isRecentPassword(student.id, newPassword)) {
+      return res.status(400).json({
+        error: `Please choose a password you haven't used for your last ${PASSWORD_HISTORY_SIZE} passwords`
+      });
+    }
+
+    const passwordHash = await hashPassword(newPassword);
+
+    await pool.query(
+      'UPDATE students SET password_hash = $1, refresh_token = NULL WHERE id = $2',
+      [passwordHash, student.id]
+    );
+    await recordPasswordHistory(student.id, passwordHash);
+    const signedOut = await sessionManager.revokeAllSessions(student.id, 'password_change', req.user.sid || null);
+
+    await accountLockout.reset(student.email, 'login');
+    await auditLog.record(req, { type: SECURITY_EVENTS.PASSWORD_CHANGE, details: { otherSessionsRevoked: signedOut } });
+
+    await sendEmail({
+      to: student.email,
+      subject: 'Your Oumie password was changed',
+      heading: 'Password changed',
+      intro: 'The password for your Oumie account was just changed, and your other devices were signed out.',
+      note: "If this wasn't you, reset your password right away.",
+      footer: 'You are receiving this because of a security change on your Oumie account.'
+    });
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      otherSessionsRevoked: signedOut
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// Lift a lockout early using the link from the lockout email
+app.post('/auth/unlock', authLimiter, async (req, res) => {
+  const { token } = req.body;
+  if (!token) {
+    return res.status(400).json({ error: 'Token is required' });
+  }
+
+  try {
+    const email = await accountLockout.unlock(token);
+    if (!email) {
+      return res.status(400).json({ error: 'Unlock link is invalid or expired' });
+    }
+    res.json({ success: true, message: 'Your account has been unlocked' });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({ error: 'Failed to unlock account' });
+  }
+});
+
+// Refresh token endpoint - rotates the refresh token of the calling device
+app.post('/auth/refresh', async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
         return res.status(400).json({ error: 'Refresh token required' });
     }
 
     try {
-        // Verify refresh token
-        const decoded = verifyRefreshToken(refreshToken);
+        const rotation = await sessionManager.rotate(refreshToken, {
+            userAgent: req.get('user-agent'),
+            ipAddress: req.ip
+        });
+
+        if (rotation.status === 'reused') {
+            await auditLog.record(req, {
+                type: SECURITY_EVENTS.TOKEN_REFRESH,
+                outcome: 'failure',
+                studentId: rotation.studentId,
+                details: { reason: 'token_reuse', sessionId: rotation.sessionId }
+            });
+            return res.status(403).json({
+                error: 'Refresh token was already used. This session has been signed out for your security.'
+            });
+        }
 
-        if (!decoded) {
+        if (rotation.status !== 'ok') {
+            await auditLog.record(req, { type: SECURITY_EVENTS.TOKEN_REFRESH, outcome: 'failure', details: { reason: 'invalid_token' } });
             return res.status(403).json({ error: 'Invalid or expired refresh token' });
         }
 
-        // Check if token exists in database
         const result = await pool.query(
-            'SELECT id, email, name, university, codename FROM students WHERE id = $1 AND refresh_token = $2',
-            [decoded.userId, refreshToken]
+            'SELECT id, email, name, university, codename, role, university_id FROM students WHERE id = $1',
+            [rotation.studentId]
         );
 
         if (result.rows.length === 0) {
@@ -637,17 +1403,25 @@ app.post('/auth/refresh', async (req, res) => {
 
         const user = result.rows[0];
 
-        // Generate new access token
-        const newAccessToken = generateAccessToken(user.id, user.email, false);
+        // Generate new access token for the same session
+        const newAccessToken = generateAccessToken(user, rotation.sessionId);
+        await auditLog.record(req, {
+            type: SECURITY_EVENTS.TOKEN_REFRESH,
+            studentId: user.id,
+            email: user.email,
+            details: { sessionId: rotation.sessionId }
+        });
 
         res.json({
             token: newAccessToken,
+            refreshToken: rotation.refreshToken,
             user: {
                 id: user.id,
                 name: user.name,
                 email: user.email,
                 university: user.university,
-                codename: user.codename
+                codename: user.codename,
+                role: user.role
             }
         });
     } catch (error) {
@@ -656,14 +1430,20 @@ app.post('/auth/refresh', async (req, res) => {
     }
 });
 
-// Logout endpoint
+// Logout endpoint - signs out the current device only
 app.post('/auth/logout', authenticateToken, async (req, res) => {
     try {
-        // Clear refresh token from database
-        await pool.query(
-            'UPDATE students SET refresh_token = NULL WHERE id = $1',
-            [req.user.userId]
-        );
+        if (req.user.sid) {
+            await sessionManager.revokeSession(req.user.sid, 'logout', req.user.userId);
+        } else {
+            // Token issued before sessions existed
+            await pool.query(
+                'UPDATE students SET refresh_token = NULL WHERE id = $1',
+                [req.user.userId]
+            );
+        }
+
+        await auditLog.record(req, { type: SECURITY_EVENTS.LOGOUT, details: { sessionId: req.user.sid || null } });
 
         res.json({ message: 'Logged out successfully' });
     } catch (error) {
@@ -672,11 +1452,130 @@ app.post('/auth/logout', authenticateToken, async (req, res) => {
     }
 });
 
+// List the devices the current student is signed in on
+app.get('/auth/sessions', authenticateToken, async (req, res) => {
+    try {
+        const sessions = await sessionManager.listSessions(req.user.userId);
+
+        res.json({
+            sessions: sessions.map(session => ({
+                id: session.id,
+                deviceName: session.device_name,
+                userAgent: session.user_agent,
+                ipAddress: session.ip_address,
+                createdAt: session.created_at,
+                lastUsedAt: session.last_used_at,
+                expiresAt: session.expires_at,
+                current: session.id === req.user.sid
+            }))
+        });
+    } catch (error) {
+        console.error('List sessions error:', error);
+        res.status(500).json({ error: 'Failed to list sessions' });
+    }
+});
+
+// Sign out one device
+app.delete('/auth/sessions/:id', authenticateToken, async (req, res) => {
+    const { id } = req.params;
+
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id)) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+
+    try {
+        const revoked = await sessionManager.revokeSession(id, 'revoked_by_user', req.user.userId);
+
+        if (!revoked) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        await auditLog.record(req, { type: SECURITY_EVENTS.SESSION_REVOKE, details: { sessionId: id } });
+
+        res.json({ message: 'Session signed out', current: id === req.user.sid });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ error: 'Failed to sign out session' });
+    }
+});
+
+// Create a personal API token (e.g. for the browser extension)
+// The token is only shown in this response
+app.post('/auth/api-tokens', authenticateToken, async (req, res) => {
+    const { name, scopes = [API_TOKEN_SCOPES.TIMELOG_WRITE] } = req.body;
+    const validScopes = Object.values(API_TOKEN_SCOPES);
+
+    if (!name || typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+        return res.status(400).json({ error: 'Token name is required (max 100 characters)' });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => validScopes.includes(scope))) {
+        return res.status(400).json({ error: 'Invalid scopes', validScopes });
+    }
+
+    try {
+        const { token, apiToken } = await apiTokens.createToken(
+            req.user.userId,
+            name.trim(),
+            [...new Set(scopes)]
+        );
+
+        await auditLog.record(req, {
+            type: SECURITY_EVENTS.API_TOKEN_CREATE,
+            details: { apiTokenId: apiToken.id, name: apiToken.name, scopes: apiToken.scopes }
+        });
+
+        res.status(201).json({
+            message: 'API token created. Copy it now, it will not be shown again.',
+            token,
+            apiToken
+        });
+    } catch (error) {
+        console.error('Create API token error:', error);
+        res.status(500).json({ error: 'Failed to create API token' });
+    }
+});
+
+// List personal API tokens
+app.get('/auth/api-tokens', authenticateToken, async (req, res) => {
+    try {
+        const tokens = await apiTokens.listTokens(req.user.userId);
+        res.json({ apiTokens: tokens });
+    } catch (error) {
+        console.error('List API tokens error:', error);
+        res.status(500).json({ error: 'Failed to load API tokens' });
+    }
+});
+
+// Revoke a personal API token
+app.delete('/auth/api-tokens/:id', authenticateToken, async (req, res) => {
+    const tokenId = parseInt(req.params.id);
+
+    if (!Number.isInteger(tokenId)) {
+        return res.status(404).json({ error: 'API token not found' });
+    }
+
+    try {
+        const revoked = await apiTokens.revokeToken(tokenId, req.user.userId);
+
+        if (!revoked) {
+            return res.status(404).json({ error: 'API token not found' });
+        }
+
+        await auditLog.record(req, { type: SECURITY_EVENTS.API_TOKEN_REVOKE, details: { apiTokenId: tokenId } });
+
+        res.json({ message: 'API token revoked' });
+    } catch (error) {
+        console.error('Revoke API token error:', error);
+        res.status(500).json({ error: 'Failed to revoke API token' });
+    }
+});
+
 // Get current user info (protected route example)
 app.get('/auth/me', authenticateToken, async (req, res) => {
     try {
         const result = await pool.query(
-            'SELECT id, name, email, university, codename, created_at, onboarding_completed FROM students WHERE id = $1',
+            'SELECT id, name, email, university, codename, role, university_id, created_at, onboarding_completed, COALESCE(totp_enabled, false) AS totp_enabled, deletion_scheduled_for FROM students WHERE id = $1',
             [req.user.userId]
         );
 
@@ -691,6 +1590,196 @@ app.get('/auth/me', authenticateToken, async (req, res) => {
     }
 });
 
+// ============================================
+// TWO-FACTOR AUTHENTICATION ENDPOINTS
+// ============================================
+
+// Start 2FA enrollment: returns a fresh secret and the otpauth URI for the QR code
+app.post('/auth/2fa/enroll', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT email, totp_enabled FROM students WHERE id = $1',
+      [req.user.userId]
+    );
+    const student = result.rows[0];
+
+    if (!student) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (student.totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateTotpSecret();
+    await pool.query(
+      'UPDATE students SET totp_secret = $1, totp_last_used_step = NULL WHERE id = $2',
+      [secret, req.user.userId]
+    );
+
+    res.json({
+      secret,
+      otpauthUri: buildOtpauthUri(secret, student.email),
+      message: 'Scan the QR code with your authenticator app, then confirm with a code'
+    });
+  } catch (error) {
+    console.error('2FA enroll error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor enrollment' });
+  }
+});
+
+// Finish enrollment with a first code; returns the recovery codes (shown once)
+app.post('/auth/2fa/confirm', authenticateToken, async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return res.status(400).json({ error: 'Code is required' });
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT id, totp_secret, totp_enabled, totp_last_used_step FROM students WHERE id = $1',
+      [req.user.userId]
+    );
+    const student = result.rows[0];
+
+    if (!student || !student.totp_secret) {
+      return res.status(400).json({ error: 'Start enrollment first' });
+    }
+
+    if (student.totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!(await verifySecondFactor(student, { code }))) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    await pool.query(
+      'UPDATE students SET totp_enabled = true, totp_enabled_at = NOW() WHERE id = $1',
+      [student.id]
+    );
+    const recoveryCodes = await replaceRecoveryCodes(student.id);
+    await auditLog.record(req, { type: SECURITY_EVENTS.TWO_FACTOR_ENABLE });
+
+    res.json({
+      success: true,
+      recoveryCodes,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.'
+    });
+  } catch (error) {
+    console.error('2FA confirm error:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+// Issue a new set of recovery codes (invalidates the old ones)
+app.post('/auth/2fa/recovery-codes', authenticateToken, async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return res.status(400).json({ error: 'Code is required' });
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT id, totp_secret, totp_enabled FROM students WHERE id = $1',
+      [req.user.userId]
+    );
+    const student = result.rows[0];
+
+    if (!student || !student.totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await verifySecondFactor(student, { code }))) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(student.id);
+    res.json({ success: true, recoveryCodes });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({ error: 'Failed to generate recovery codes' });
+  }
+});
+
+// The current student's recent security events (logins, resets, sessions...)
+app.get('/auth/me/security-events', authenticateToken, async (req, res) => {
+  const { type, before, limit } = req.query;
+
+  if (type && !Object.values(SECURITY_EVENTS).includes(type)) {
+    return res.status(400).json({ error: 'type must be a known security event type' });
+  }
+
+  if (before && !Number.isInteger(parseInt(before))) {
+    return res.status(400).json({ error: 'before must be a number' });
+  }
+
+  if (limit && !Number.isInteger(parseInt(limit))) {
+    return res.status(400).json({ error: 'limit must be a number' });
+  }
+
+  try {
+    const events = await auditLog.search({
+      studentId: req.user.userId,
+      type,
+      before: before ? parseInt(before) : null,
+      limit
+    });
+
+    res.json({
+      events,
+      nextBefore: events.length > 0 ? events[events.length - 1].id : null
+    });
+  } catch (error) {
+    console.error('Security events error:', error);
+    res.status(500).json({ error: 'Failed to load security events' });
+  }
+});
+
+// Turn 2FA off (needs the password and a code or recovery code)
+app.post('/auth/2fa/disable', authenticateToken, async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  if (!password || (!code && !recoveryCode)) {
+    return res.status(400).json({ error: 'Password and code are required' });
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT id, password_hash, totp_secret, totp_enabled FROM students WHERE id = $1',
+      [req.user.userId]
+    );
+    const student = result.rows[0];
+
+    if (!student || !student.totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!student.password_hash || !(await comparePassword(password, student.password_hash))) {
+      return res.status(401).json({ error: 'Incorrect password' });
+    }
+
+    if (!(await verifySecondFactor(student, { code, recoveryCode }))) {
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    await pool.query(`
+      UPDATE students
+      SET totp_enabled = false, totp_secret = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL
+      WHERE id = $1
+    `, [student.id]);
+    await pool.query('DELETE FROM two_factor_recovery_codes WHERE student_id = $1', [student.id]);
+    await auditLog.record(req, { type: SECURITY_EVENTS.TWO_FACTOR_DISABLE });
+
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
 // ============================================
 // LEGACY ENDPOINTS (for backward compatibility)
 // ============================================
@@ -733,20 +1822,29 @@ app.post('/signup', async (req, res) => {
     }
 });
 
-// Get all students
-app.get('/students', async (req, res) => {
+// Get all students (platform admins), or a university's students (university admins)
+app.get('/students', authenticateToken, requireRole(ROLES.PLATFORM_ADMIN, ROLES.UNIVERSITY_ADMIN), async (req, res) => {
+    // University admins are always scoped to their own university
+    const universityId = req.user.role === ROLES.UNIVERSITY_ADMIN ? req.user.universityId : null;
+
+    if (req.user.role === ROLES.UNIVERSITY_ADMIN && !universityId) {
+        return res.status(403).json({ error: 'Account is not linked to a university' });
+    }
+
     try {
         const result = await pool.query(`
-            SELECT s.*, 
-                   sp.writing_speed, 
+            SELECT s.id, s.name, s.email, s.university, s.university_id, s.codename,
+                   s.role, s.account_status, s.created_at, s.last_login,
+                   sp.writing_speed,
                    sp.procrastination_factor,
                    COUNT(a.id) as assignment_count
             FROM students s
             LEFT JOIN student_profiles sp ON s.id = sp.student_id
             LEFT JOIN assignments a ON s.id = a.student_id
+            WHERE ($1::int IS NULL OR s.university_id = $1)
             GROUP BY s.id, sp.id
             ORDER BY s.created_at DESC
-        `);
+        `, [universityId]);
         
         res.json({
             totalStudents: result.rows.length,
@@ -758,7 +1856,7 @@ app.get('/students', async (req, res) => {
 });
 
 // Get single student with their profile
-app.get('/student/:id', async (req, res) => {
+app.get('/student/:id', authenticateToken, requireSelf('id'), async (req, res) => {
     const studentId = req.params.id;
     
     try {
@@ -772,16 +1870,20 @@ app.get('/student/:id', async (req, res) => {
         if (result.rows.length === 0) {
             return res.status(404).json({ error: 'Student not found' });
         }
-        
-        res.json({ student: result.rows[0] });
+
+        // Never send credentials back, even to their owner
+        const { password_hash, refresh_token, ...student } = result.rows[0];
+
+        res.json({ student });
     } catch (error) {
         res.status(500).json({ error: 'Failed to fetch student', details: error.message });
     }
 });
 
-// Add assignment for a student
-app.post('/assignment', async (req, res) => {
-    const { studentId, title, description, assignmentType, dueDate, estimatedHours, wordCount } = req.body;
+// Add assignment for the logged-in student
+app.post('/assignment', authenticateToken, async (req, res) => {
+    const studentId = req.user.userId;
+    const { title, description, assignmentType, dueDate, estimatedHours, wordCount } = req.body;
     
     try {
         // Check if student exists
@@ -817,7 +1919,7 @@ app.post('/assignment', async (req, res) => {
 });
 
 // Get all assignments for a student
-app.get('/student/:id/assignments', async (req, res) => {
+app.get('/student/:id/assignments', authenticateToken, requireSelf('id'), async (req, res) => {
     const studentId = req.params.id;
     
     try {
@@ -838,8 +1940,9 @@ app.get('/student/:id/assignments', async (req, res) => {
 });
 
 // Calculate personalized time estimate (SMART FEATURE!)
-app.post('/calculate-time', async (req, res) => {
-    const { studentId, assignmentType, wordCount, problemCount, pageCount } = req.body;
+app.post('/calculate-time', authenticateToken, async (req, res) => {
+    const studentId = req.user.userId;
+    const { assignmentType, wordCount, problemCount, pageCount } = req.body;
     
     try {
         // Get student's profile
@@ -902,8 +2005,8 @@ app.post('/calculate-time', async (req, res) => {
 });
 
 // Mark assignment as complete (and track actual time spent)
-app.post('/assignment/:id/complete', async (req, res) => {
-    const assignmentId = req.params.id;
+app.post('/assignment/:id/complete', authenticateToken, requireOwnership(pool, 'assignments', 'id'), async (req, res) => {
+    const assignmentId = req.resource.id;
     const { actualHours } = req.body;
     
     try {
@@ -956,6 +2059,8 @@ app.post('/assignment/:id/complete', async (req, res) => {
       const badge = await awardBadge(pool, studentId, 'first_assignment');
       if (badge) earnedBadges.push(badge);
     }
+
+    studentEvents.badgesEarned(studentId, earnedBadges);
         
         // Calculate accuracy
         const accuracy = assignment.estimated_hours 
@@ -977,7 +2082,7 @@ app.post('/assignment/:id/complete', async (req, res) => {
 });
 
 // Update student profile (manual adjustment)
-app.put('/student/:id/profile', async (req, res) => {
+app.put('/student/:id/profile', authenticateToken, requireSelf('id'), async (req, res) => {
     const studentId = req.params.id;
     const { writingSpeed, readingSpeed, problemSolvingSpeed, procrastinationFactor } = req.body;
     
@@ -1004,60 +2109,79 @@ app.put('/student/:id/profile', async (req, res) => {
 // ============================================
 // BROWSER EXTENSION ENDPOINTS
 // ============================================
+// Accept a session token or a personal API token with the timelog:write scope
 
 // Start time tracking session
-app.post('/time-log/start', async (req, res) => {
-    const { studentId, assignmentTitle, assignmentUrl, startTime, siteName } = req.body;
+app.post('/time-log/start', authenticateTokenOrApiToken(apiTokens, API_TOKEN_SCOPES.TIMELOG_WRITE), async (req, res) => {
+    const studentId = req.user.userId;
+    const { assignmentTitle, assignmentUrl, startTime, siteName } = req.body;
 
     try {
-        // Find or create assignment
-        let assignment = await pool.query(
-            'SELECT * FROM assignments WHERE student_id = $1 AND canvas_url = $2',
-            [studentId, assignmentUrl]
-        );
-
-        let assignmentId;
-        if (assignment.rows.length === 0) {
-            // Create new assignment automatically
-            const newAssignment = await pool.query(`
-                INSERT INTO assignments
-                (student_id, title, due_date, canvas_url, estimated_hours)
-                VALUES ($1, $2, NOW() + INTERVAL '7 days', $3, 5.0)
-                RETURNING id
-            `, [studentId, assignmentTitle, assignmentUrl]);
-            assignmentId = newAssignment.rows[0].id;
-        } else {
-            assignmentId = assignment.rows[0].id;
-        }
-
-        // Create time log entry with site_name and assignment_title for detection
-        const result = await pool.query(`
-            INSERT INTO time_logs
-            (student_id, assignment_id, session_start, is_active, site_name, assignment_title)
-            VALUES ($1, $2, $3, true, $4, $5)
-            RETURNING *
-        `, [studentId, assignmentId, startTime, siteName, assignmentTitle]);
+        const { log, endedSessions } = await timeTracker.startSession(studentId, { assignmentTitle, assignmentUrl, startTime, siteName });
 
         // Record LMS activity for status detection
         if (siteName) {
             await statusDetector.recordLMSActivity(studentId, siteName);
         }
 
+        for (const ended of endedSessions) {
+            await studentEvents.sessionChanged(studentId, 'session.ended', ended);
+        }
+        await studentEvents.sessionChanged(studentId, 'session.started', log);
+
         res.json({
             message: 'Session started',
-            log: result.rows[0]
+            log,
+            endedSessions: endedSessions.map(ended => ended.id),
+            concurrency: TRACKING_POLICY.concurrency,
+            heartbeatIntervalSeconds: TRACKING_POLICY.heartbeatIntervalSeconds
         });
     } catch (error) {
         res.status(500).json({ error: 'Failed to start session', details: error.message });
     }
 });
 
+// Heartbeat for open tracking sessions (the extension pings about once a minute)
+// Body: { timeLogId (optional, defaults to every open session), idle (optional) }
+app.post('/time-log/heartbeat', authenticateTokenOrApiToken(apiTokens, API_TOKEN_SCOPES.TIMELOG_WRITE), async (req, res) => {
+    const studentId = req.user.userId;
+    const { timeLogId, idle } = req.body;
+
+    if (timeLogId && !Number.isInteger(Number(timeLogId))) {
+        return res.status(400).json({ error: 'timeLogId must be a number' });
+    }
+
+    try {
+        const logs = await timeTracker.heartbeat(studentId, {
+            timeLogId: timeLogId ? Number(timeLogId) : null,
+            idle: idle === true
+        });
+
+        if (logs.length === 0) {
+            return res.status(404).json({ error: 'No active session found' });
+        }
+
+        res.json({
+            message: 'Heartbeat recorded',
+            sessions: logs.map(log => ({
+                id: log.id,
+                activeMinutes: Math.round(log.active_seconds / 60),
+                idleGap: log.idle_gap
+            }))
+        });
+    } catch (error) {
+        console.error('Heartbeat error:', error);
+        res.status(500).json({ error: 'Failed to record heartbeat' });
+    }
+});
+
 // Simple time log endpoint
-app.post('/time-log', async (req, res) => {
-  const { studentId, durationMinutes, activityType } = req.body;
+app.post('/time-log', authenticateTokenOrApiToken(apiTokens, API_TOKEN_SCOPES.TIMELOG_WRITE), async (req, res) => {
+  const studentId = req.user.userId;
+  const { durationMinutes, activityType } = req.body;
 
-  if (!studentId || durationMinutes === undefined || durationMinutes < 0.1) {
-    return res.status(400).json({ error: 'studentId and durationMinutes required' });
+  if (durationMinutes === undefined || durationMinutes < 0.1) {
+    return res.status(400).json({ error: 'durationMinutes required' });
   }
 
   try {
@@ -1077,26 +2201,63 @@ app.post('/time-log', async (req, res) => {
   }
 });
 
+// Upload sessions the extension recorded while offline
+// Body: { sessions: [{ clientSessionId, startTime, endTime, siteName, assignmentTitle, assignmentUrl }] }
+app.post('/time-log/sync', authenticateTokenOrApiToken(apiTokens, API_TOKEN_SCOPES.TIMELOG_WRITE), async (req, res) => {
+    const studentId = req.user.userId;
+    const { sessions } = req.body;
+
+    if (!Array.isArray(sessions) || sessions.length === 0) {
+        return res.status(400).json({ error: 'sessions must be a non-empty array' });
+    }
+
+    if (sessions.length > SYNC_POLICY.maxBatchSize) {
+        return res.status(400).json({ error: `At most ${SYNC_POLICY.maxBatchSize} sessions per request` });
+    }
+
+    try {
+        const { results, cursor } = await timeTracker.syncSessions(studentId, sessions);
+        await studentEvents.refresh(studentId);
+
+        res.json({
+            message: 'Sync complete',
+            created: results.filter(result => result.status === 'created').length,
+            duplicates: results.filter(result => result.status === 'duplicate').length,
+            rejected: results.filter(result => result.status === 'rejected').length,
+            results,
+            cursor
+        });
+    } catch (error) {
+        console.error('Time log sync error:', error);
+        res.status(500).json({ error: 'Failed to sync sessions' });
+    }
+});
+
 // End time tracking session
-app.post('/time-log/end', async (req, res) => {
-    const { studentId, durationMinutes } = req.body;
+// Duration comes from heartbeats; durationMinutes is only used as an upper
+// bound for sessions from older extensions that don't send heartbeats.
+app.post('/time-log/end', authenticateTokenOrApiToken(apiTokens, API_TOKEN_SCOPES.TIMELOG_WRITE), async (req, res) => {
+    const studentId = req.user.userId;
+    const { durationMinutes, timeLogId } = req.body;
+
+    if (timeLogId && !Number.isInteger(Number(timeLogId))) {
+        return res.status(400).json({ error: 'timeLogId must be a number' });
+    }
     
     try {
-        // Find and end active session
-        const result = await pool.query(`
-            UPDATE time_logs 
-            SET session_end = NOW(),
-                duration_minutes = $1,
-                is_active = false
-            WHERE student_id = $2 
-              AND is_active = true
-            RETURNING *
-        `, [durationMinutes, studentId]);
+        const logs = await timeTracker.endSession(studentId, {
+            timeLogId: timeLogId ? Number(timeLogId) : null,
+            clientDurationMinutes: durationMinutes
+        });
         
-        if (result.rows.length > 0) {
+        if (logs.length > 0) {
+            for (const log of logs) {
+                await studentEvents.sessionChanged(studentId, 'session.ended', log);
+            }
+
             res.json({
                 message: 'Session ended',
-                log: result.rows[0]
+                log: logs[0]
             });
         } else {
             res.status(404).json({ error: 'No active session found' });
@@ -1106,24 +2267,318 @@ app.post('/time-log/end', async (req, res) => {
     }
 });
 
-// Update student daily goal
+// End one tracking session
+app.post('/time-log/:id/end', authenticateTokenOrApiToken(apiTokens, API_TOKEN_SCOPES.TIMELOG_WRITE), requireOwnership(pool, 'time_logs'), async (req, res) => {
+  try {
+    const [log] = await timeTracker.endSession(req.user.userId, {
+      timeLogId: req.resource.id,
+      clientDurationMinutes: req.body.durationMinutes
+    });
+
+    if (!log) {
+      return res.status(409).json({ error: 'Session has already ended' });
+    }
+
+    await studentEvents.sessionChanged(req.user.userId, 'session.ended', log);
+
+    res.json({
+      message: 'Session ended',
+      log,
+      pauses: await timeTracker.listPauses(log.id)
+    });
+  } catch (error) {
+    console.error('End session error:', error);
+    res.status(500).json({ error: 'Failed to end session' });
+  }
+});
+
+// Pause one tracking session
+app.post('/time-log/:id/pause', authenticateTokenOrApiToken(apiTokens, API_TOKEN_SCOPES.TIMELOG_WRITE), requireOwnership(pool, 'time_logs'), async (req, res) => {
+  try {
+    const log = await timeTracker.pauseSession(req.user.userId, req.resource.id);
+
+    if (!log) {
+      return res.status(409).json({ error: 'Only a running session can be paused' });
+    }
+
+    await studentEvents.sessionChanged(req.user.userId, 'session.paused', log);
+
+    res.json({ message: 'Session paused', log });
+  } catch (error) {
+    console.error('Pause session error:', error);
+    res.status(500).json({ error: 'Failed to pause session' });
+  }
+});
+
+// Resume a paused tracking session
+app.post('/time-log/:id/resume', authenticateTokenOrApiToken(apiTokens, API_TOKEN_SCOPES.TIMELOG_WRITE), requireOwnership(pool, 'time_logs'), async (req, res) => {
+  try {
+    const log = await timeTracker.resumeSession(req.user.userId, req.resource.id);
+
+    if (!log) {
+      return res.status(409).json({ error: 'Only a paused session can be resumed' });
+    }
+
+    await studentEvents.sessionChanged(req.user.userId, 'session.resumed', log);
+
+    res.json({ message: 'Session resumed', log });
+  } catch (error) {
+    console.error('Resume session error:', error);
+    res.status(500).json({ error: 'Failed to resume session' });
+  }
+});
+
+// Report distraction events inside a session
+// Body: { events: [{ type: 'site_switch' | 'idle' | 'tab_switch', startedAt, durationSeconds, count, siteName, clientEventId }] }
+// durationSeconds is required for site_switch and idle; count (default 1) is used for tab_switch
+app.post('/time-log/:id/distractions', authenticateTokenOrApiToken(apiTokens, API_TOKEN_SCOPES.TIMELOG_WRITE), requireOwnership(pool, 'time_logs'), async (req, res) => {
+  const { events } = req.body;
+
+  if (!Array.isArray(events) || events.length === 0) {
+    return res.status(400).json({ error: 'events must be a non-empty array' });
+  }
+
+  if (events.length > FOCUS_POLICY.maxEventsPerRequest) {
+    return res.status(400).json({ error: `At most ${FOCUS_POLICY.maxEventsPerRequest} events per request` });
+  }
+
+  for (let i = 0; i < events.length; i++) {
+    const error = timeTracker.validateDistraction(req.resource, events[i]);
+    if (error) {
+      return res.status(400).json({ error: `events[${i}]: ${error}` });
+    }
+  }
+
+  try {
+    const { recorded, duplicates, log } = await timeTracker.recordDistractions(req.user.userId, req.resource.id, events);
+
+    res.json({
+      message: 'Distractions recorded',
+      recorded,
+      duplicates,
+      focusRatio: log.focus_ratio !== null ? parseFloat(log.focus_ratio) : null,
+      distractedSeconds: log.distracted_seconds,
+      tabSwitches: log.tab_switches
+    });
+  } catch (error) {
+    console.error('Record distractions error:', error);
+    res.status(500).json({ error: 'Failed to record distractions' });
+  }
+});
+
+// A session's distraction events and focus ratio
+app.get('/time-log/:id/distractions', authenticateToken, requireOwnership(pool, 'time_logs'), async (req, res) => {
+  try {
+    const log = req.resource;
+
+    res.json({
+      focusRatio: log.focus_ratio !== null ? parseFloat(log.focus_ratio) : null,
+      wasFocused: log.was_focused,
+      distractedSeconds: log.distracted_seconds,
+      tabSwitches: log.tab_switches,
+      events: await timeTracker.listDistractions(log.id)
+    });
+  } catch (error) {
+    console.error('List distractions error:', error);
+    res.status(500).json({ error: 'Failed to fetch distractions' });
+  }
+});
+
+// List a student's sessions, newest first
+// Query: page, limit (max 100), from, to (ISO timestamps on session_start)
+app.get('/student/:id/time-logs', authenticateToken, requireSelf('id'), async (req, res) => {
+  try {
+    const { page, limit, from, to } = req.query;
+
+    if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+      return res.status(400).json({ error: 'from and to must be valid timestamps' });
+    }
+
+    const result = await timeLogHistory.listLogs(parseInt(req.params.id), { page, limit, from, to });
+    res.json(result);
+  } catch (error) {
+    console.error('List time logs error:', error);
+    res.status(500).json({ error: 'Failed to fetch time logs' });
+  }
+});
+
+// Edit history of a session (original values before each change)
+app.get('/time-log/:id/edits', authenticateToken, async (req, res) => {
+  try {
+    const edits = await timeLogHistory.listEdits(req.user.userId, parseInt(req.params.id) || 0);
+    res.json({ edits });
+  } catch (error) {
+    console.error('Time log edits error:', error);
+    res.status(500).json({ error: 'Failed to fetch edit history' });
+  }
+});
+
+// Correct a finished session
+// Body: { startTime, endTime, assignmentId } - any subset; assignmentId null unassigns
+app.patch('/time-log/:id', authenticateToken, requireOwnership(pool, 'time_logs'), async (req, res) => {
+  try {
+    const { startTime, endTime, assignmentId } = req.body;
+
+    if (startTime === undefined && endTime === undefined && assignmentId === undefined) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const result = await timeLogHistory.editLog(req.user.userId, req.resource.id, { startTime, endTime, assignmentId });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await studentEvents.refresh(req.user.userId);
+
+    res.json({ message: 'Session updated', log: result.log });
+  } catch (error) {
+    console.error('Edit time log error:', error);
+    res.status(500).json({ error: 'Failed to update session' });
+  }
+});
+
+// Split a finished session in two
+// Body: { splitAt }
+app.post('/time-log/:id/split', authenticateToken, requireOwnership(pool, 'time_logs'), async (req, res) => {
+  try {
+    const result = await timeLogHistory.splitLog(req.user.userId, req.resource.id, req.body.splitAt);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await studentEvents.refresh(req.user.userId);
+
+    res.json({ message: 'Session split', logs: result.logs });
+  } catch (error) {
+    console.error('Split time log error:', error);
+    res.status(500).json({ error: 'Failed to split session' });
+  }
+});
+
+// Merge adjacent finished sessions into one
+// Body: { timeLogIds: [..] }
+app.post('/time-log/merge', authenticateToken, async (req, res) => {
+  try {
+    const { timeLogIds } = req.body;
+
+    if (!Array.isArray(timeLogIds)) {
+      return res.status(400).json({ error: 'timeLogIds must be an array' });
+    }
+
+    const result = await timeLogHistory.mergeLogs(req.user.userId, timeLogIds);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await studentEvents.refresh(req.user.userId);
+
+    res.json({ message: 'Sessions merged', log: result.log, mergedIds: result.mergedIds });
+  } catch (error) {
+    console.error('Merge time logs error:', error);
+    res.status(500).json({ error: 'Failed to merge sessions' });
+  }
+});
+
+// Import history from a spreadsheet or another time tracker
+// Body: { format: 'csv' | 'toggl' | 'clockify', data, mapping, dateFormat, timezone, fileName, dryRun }
+//   data: CSV text for 'csv', the JSON export itself for 'toggl' and 'clockify'
+//   mapping: CSV columns, e.g. { startDate: 'Date', startTime: 'From', endTime: 'To', title: 'Task' }
+//     (Toggl and Clockify CSV exports are recognized without one)
+//   dateFormat: 'DD/MM/YYYY' if slashed dates are day-first
+//   timezone: zone for times without a UTC offset (default: the student's)
+// dryRun returns the same report without writing anything
+app.post('/time-log/import', authenticateToken, async (req, res) => {
+  try {
+    const { format, data, mapping, dateFormat, timezone, fileName, dryRun } = req.body;
+
+    if (mapping !== undefined && (typeof mapping !== 'object' || mapping === null || Array.isArray(mapping))) {
+      return res.status(400).json({ error: 'mapping must be an object of field: column name' });
+    }
+
+    const result = await timeLogImporter.importUpload(req.user.userId, {
+      format, data, mapping, dateFormat, timezone, fileName, dryRun: !!dryRun
+    });
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    if (!dryRun) {
+      await studentEvents.refresh(req.user.userId);
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      message: dryRun ? 'Import preview' : `Imported ${result.counts.new} session(s)`,
+      dryRun: !!dryRun,
+      ...result
+    });
+  } catch (error) {
+    console.error('Time log import error:', error);
+    res.status(500).json({ error: 'Failed to import time logs' });
+  }
+});
+
+// Past imports
+app.get('/time-log/imports', authenticateToken, async (req, res) => {
+  try {
+    res.json({ imports: await timeLogImporter.listImports(req.user.userId) });
+  } catch (error) {
+    console.error('List imports error:', error);
+    res.status(500).json({ error: 'Failed to fetch imports' });
+  }
+});
+
+// Roll back an import: removes every session it created
+app.delete('/time-log/imports/:id', authenticateToken, async (req, res) => {
+  const importId = parseInt(req.params.id);
+
+  if (!Number.isInteger(importId)) {
+    return res.status(404).json({ error: 'Import not found' });
+  }
+
+  try {
+    const result = await timeLogImporter.rollbackImport(req.user.userId, importId);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Import not found or already rolled back' });
+    }
+
+    await studentEvents.refresh(req.user.userId);
+
+    res.json({ message: 'Import rolled back', removed: result.removed });
+  } catch (error) {
+    console.error('Rollback import error:', error);
+    res.status(500).json({ error: 'Failed to roll back import' });
+  }
+});
+
+// Delete a finished session
+app.delete('/time-log/:id', authenticateToken, requireOwnership(pool, 'time_logs'), async (req, res) => {
+  try {
+    const result = await timeLogHistory.deleteLog(req.user.userId, req.resource.id);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await studentEvents.refresh(req.user.userId);
+
+    res.json({ message: 'Session deleted', id: result.log.id });
+  } catch (error) {
+    console.error('Delete time log error:', error);
+    res.status(500).json({ error: 'Failed to delete session' });
+  }
+});
+
+// Update student daily goal
 // Requires: ALTER TABLE students ADD COLUMN IF NOT EXISTS daily_goal_hours NUMERIC(4,2) DEFAULT 3.0;
 // Requires: ALTER TABLE students ADD COLUMN IF NOT EXISTS timezone VARCHAR(100) DEFAULT 'America/New_York';
-// Requires: CREATE TABLE IF NOT EXISTS calendar_assignments (
-//   id SERIAL PRIMARY KEY,
-//   student_id INTEGER REFERENCES students(id) ON DELETE CASCADE,
-//   title VARCHAR(500) NOT NULL,
-//   due_date TIMESTAMPTZ,
-//   course_name VARCHAR(255),
-//   source_uid VARCHAR(500),
-//   ics_url TEXT,
-//   created_at TIMESTAMPTZ DEFAULT NOW(),
-//   updated_at TIMESTAMPTZ DEFAULT NOW(),
-//   UNIQUE(student_id, source_uid)
-// );
 // Requires: ALTER TABLE students ADD COLUMN IF NOT EXISTS ics_url TEXT;
 // Requires: ALTER TABLE students ADD COLUMN IF NOT EXISTS ics_last_synced TIMESTAMPTZ;
-app.put('/student/:id/goal', async (req, res) => {
+app.put('/student/:id/goal', authenticateToken, requireSelf('id'), async (req, res) => {
   const { id } = req.params;
   const { dailyGoalHours } = req.body;
   if (dailyGoalHours === undefined || dailyGoalHours < 0.5 || dailyGoalHours > 12) {
@@ -1142,12 +2597,9 @@ app.put('/student/:id/goal', async (req, res) => {
 });
 
 // Get student streaks
-app.get('/student/:id/streaks', authenticateToken, async (req, res) => {
+app.get('/student/:id/streaks', authenticateToken, requireSelf('id'), async (req, res) => {
   const { id } = req.params;
   try {
-    if (parseInt(req.params.id) !== req.user.userId) {
-      return res.status(403).json({ error: 'Access denied' })
-    }
     // Today's study check
     const todayResult = await pool.query(`
       SELECT COALESCE(SUM(duration_minutes), 0) AS total
@@ -1219,16 +2671,13 @@ app.get('/student/:id/streaks', authenticateToken, async (req, res) => {
   }
 });
 
-// Calculate focus score 0-100 based on session depth, consistency, peak alignment, and streak
-app.get('/student/:id/focus-score', authenticateToken, async (req, res) => {
+// Calculate focus score 0-100 based on session depth, consistency, peak alignment, streak and Pomodoro cycles
+app.get('/student/:id/focus-score', authenticateToken, requireSelf('id'), async (req, res) => {
   const { id } = req.params;
   try {
-    if (parseInt(req.params.id) !== req.user.userId) {
-      return res.status(403).json({ error: 'Access denied' })
-    }
     const tzResult = await pool.query('SELECT COALESCE(timezone, \'America/New_York\') as tz FROM students WHERE id = $1', [id])
     const tz = tzResult.rows[0]?.tz || 'America/New_York'
-    const [depthRes, consistencyRes, peakRes, studentRes, streakRes] = await Promise.all([
+    const [depthRes, consistencyRes, peakRes, studentRes, streakRes, focus, pomodoro] = await Promise.all([
       // Session depth: avg duration last 30 days
       pool.query(`
         SELECT COALESCE(AVG(duration_minutes), 0) AS avg_minutes
@@ -1284,6 +2733,12 @@ app.get('/student/:id/focus-score', authenticateToken, async (req, res) => {
         WHERE last_date >= CURRENT_DATE - INTERVAL '1 day'
         ORDER BY last_date DESC LIMIT 1
       `, [id]),
+
+      // Focus ratio from distraction tracking, last 30 days
+      timeTracker.focusSummary(id, 'month'),
+
+      // Pomodoro cycles, last 7 days
+      pomodoroTimer.cycleSummary(id),
     ]);
 
     // 1. Session Depth Score (max 35)
@@ -1322,14 +2777,21 @@ app.get('/student/:id/focus-score', authenticateToken, async (req, res) => {
     const currentStreak = streakRes.rows.length > 0 ? parseInt(streakRes.rows[0].streak) : 0;
     const streakBonus = Math.min(currentStreak, 15);
 
+    // 5. Pomodoro Bonus (max 10): completed cycles last 7 days, total still capped at 100
+    const pomodoroBonus = Math.min(pomodoro.completedWeek, POMODORO_POLICY.focusBonusMax);
+
     const breakdown = {
       sessionDepth: Math.round(sessionDepth),
       consistency: Math.round(consistency),
       peakAlignment: Math.round(peakAlignment),
       streakBonus: Math.round(streakBonus),
+      pomodoroBonus,
     };
 
-    const focusScore = breakdown.sessionDepth + breakdown.consistency + breakdown.peakAlignment + breakdown.streakBonus;
+    const focusScore = Math.min(
+      breakdown.sessionDepth + breakdown.consistency + breakdown.peakAlignment + breakdown.streakBonus + breakdown.pomodoroBonus,
+      100
+    );
 
     // Insight: lowest-scoring component relative to its max
     const components = [
@@ -1346,7 +2808,7 @@ app.get('/student/:id/focus-score', authenticateToken, async (req, res) => {
       streakBonus: 'Building a daily streak will significantly boost your focus score.',
     };
 
-    res.json({ focusScore, breakdown, insight: insights[lowest.key] });
+    res.json({ focusScore, breakdown, insight: insights[lowest.key], focus, pomodoro });
   } catch (error) {
     console.error('Focus score error:', error);
     res.status(500).json({ error: 'Failed to calculate focus score' });
@@ -1354,7 +2816,7 @@ app.get('/student/:id/focus-score', authenticateToken, async (req, res) => {
 });
 
 // Find the student's all-time best 7-day focus score window
-app.get('/student/:id/focus-score/best', async (req, res) => {
+app.get('/student/:id/focus-score/best', authenticateToken, requireSelf('id'), async (req, res) => {
   const { id } = req.params;
   try {
     // Fetch all sessions: date + duration
@@ -1447,7 +2909,7 @@ app.get('/student/:id/focus-score/best', async (req, res) => {
 });
 
 // Get aggregated study activity for a specific day
-app.get('/student/:id/day/:date', async (req, res) => {
+app.get('/student/:id/day/:date', authenticateToken, requireSelf('id'), async (req, res) => {
   const { id, date } = req.params;
   if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
     return res.status(400).json({ error: 'Invalid date format, use YYYY-MM-DD' });
@@ -1479,13 +2941,10 @@ app.get('/student/:id/day/:date', async (req, res) => {
 });
 
 // Get student stats
-app.get('/student/:id/stats', authenticateToken, async (req, res) => {
+app.get('/student/:id/stats', authenticateToken, requireSelf('id'), async (req, res) => {
     const studentId = req.params.id;
 
     try {
-        if (parseInt(req.params.id) !== req.user.userId) {
-          return res.status(403).json({ error: 'Access denied' })
-        }
         // Daily goal + focus glow setting
         const goalResult = await pool.query(
             'SELECT COALESCE(daily_goal_hours, 3.0) AS daily_goal_hours, focus_glow_enabled FROM students WHERE id = $1',
@@ -1588,6 +3047,7 @@ app.get('/student/:id/stats', authenticateToken, async (req, res) => {
                 COALESCE(a.title, tl.activity_type, 'Study Session') as title,
                 COALESCE(a.assignment_type, tl.activity_type) as type,
                 tl.duration_minutes,
+                tl.focus_ratio,
                 tl.session_start
             FROM time_logs tl
             LEFT JOIN assignments a ON tl.assignment_id = a.id
@@ -1597,6 +3057,15 @@ app.get('/student/:id/stats', authenticateToken, async (req, res) => {
             LIMIT 5
         `, [studentId]);
 
+        // Focus ratio from distraction tracking
+        const [todayFocus, weekFocus] = await Promise.all([
+            timeTracker.focusSummary(studentId, 'today'),
+            timeTracker.focusSummary(studentId, 'week')
+        ]);
+
+        // This week's time per site category
+        const weekCategories = await siteClassifier.categoryBreakdown(studentId, 'week');
+
         const todayHours = parseFloat(todayResult.rows[0].hours) || 0;
         const yesterdayHours = parseFloat(yesterdayResult.rows[0].hours) || 0;
         const weekHours = parseFloat(weekResult.rows[0].hours) || 0;
@@ -1613,6 +3082,15 @@ app.get('/student/:id/stats', authenticateToken, async (req, res) => {
             weekChange: lastWeekHours > 0 ? ((weekHours - lastWeekHours) / lastWeekHours * 100) : 0,
             totalHours: parseFloat(totalResult.rows[0].hours) || 0,
             currentStreak: parseInt(streakResult.rows[0]?.streak) || 0,
+            focus: {
+                today: todayFocus,
+                week: weekFocus
+            },
+            weekCategories: weekCategories.map(entry => ({
+                category: entry.category,
+                hours: entry.minutes / 60,
+                share: entry.share
+            })),
             assignments: {
                 total: parseInt(assignmentsResult.rows[0]?.active) || 0,
                 dueThisWeek: parseInt(assignmentsResult.rows[0]?.due_this_week) || 0
@@ -1624,6 +3102,7 @@ app.get('/student/:id/stats', authenticateToken, async (req, res) => {
             recentActivity: recentActivityResult.rows.map(row => ({
                 title: row.title,
                 duration: formatDuration(row.duration_minutes),
+                focusRatio: row.focus_ratio !== null ? parseFloat(row.focus_ratio) : null,
                 time: formatTimeAgo(row.session_start),
                 icon: getIconForType(row.type)
             }))
@@ -1684,8 +3163,8 @@ function getIconForType(type) {
 }
 
 // Get current assignment progress (for active tracking)
-app.get('/assignment/:assignmentId/progress', async (req, res) => {
-    const assignmentId = req.params.assignmentId;
+app.get('/assignment/:assignmentId/progress', authenticateToken, requireOwnership(pool, 'assignments', 'assignmentId'), async (req, res) => {
+    const assignmentId = req.resource.id;
     
     try {
         // Get assignment details
@@ -1739,7 +3218,7 @@ app.get('/assignment/:assignmentId/progress', async (req, res) => {
 });
 
 // Get all assignments for a student
-app.get('/student/:studentId/assignments', async (req, res) => {
+app.get('/student/:studentId/assignments', authenticateToken, requireSelf('studentId'), async (req, res) => {
   try {
     const { studentId } = req.params;
     
@@ -1765,7 +3244,7 @@ app.get('/student/:studentId/assignments', async (req, res) => {
 });
 
 // Create new assignment for a student
-app.post('/student/:studentId/assignments', async (req, res) => {
+app.post('/student/:studentId/assignments', authenticateToken, requireSelf('studentId'), async (req, res) => {
   try {
     const { studentId } = req.params;
     const { title, assignment_type, due_date, estimated_hours } = req.body;
@@ -1792,9 +3271,9 @@ app.post('/student/:studentId/assignments', async (req, res) => {
 });
 
 // Delete assignment
-app.delete('/assignment/:id', async (req, res) => {
+app.delete('/assignment/:id', authenticateToken, requireOwnership(pool, 'assignments', 'id'), async (req, res) => {
   try {
-    const { id } = req.params;
+    const { id } = req.resource;
 
     // Delete associated time logs first (foreign key constraint)
     await pool.query('DELETE FROM time_logs WHERE assignment_id = $1', [id]);
@@ -1817,8 +3296,8 @@ app.delete('/assignment/:id', async (req, res) => {
 // STUDENT STATUS DETECTION ENDPOINTS
 // ============================================
 
-// Manually trigger detection for all students (admin only, for testing)
-app.post('/admin/detect-graduated', async (req, res) => {
+// Manually trigger detection for all students (platform admins only)
+app.post('/admin/detect-graduated', authenticateToken, requireRole(ROLES.PLATFORM_ADMIN), async (req, res) => {
   try {
     const results = await statusDetector.analyzeAllStudents();
     res.json({
@@ -1833,7 +3312,7 @@ app.post('/admin/detect-graduated', async (req, res) => {
 });
 
 // Check single student status
-app.get('/student/:id/status', async (req, res) => {
+app.get('/student/:id/status', authenticateToken, requireSelf('id'), async (req, res) => {
   try {
     const result = await statusDetector.analyzeStudent(parseInt(req.params.id));
     res.json(result);
@@ -1842,8 +3321,8 @@ app.get('/student/:id/status', async (req, res) => {
   }
 });
 
-// Get university status summary
-app.get('/university/:id/student-status-summary', async (req, res) => {
+// Get university status summary (that university's admins and platform admins)
+app.get('/university/:id/student-status-summary', authenticateToken, requireUniversityAccess('id'), async (req, res) => {
   try {
     const summary = await statusDetector.getUniversityStatusSummary(parseInt(req.params.id));
     res.json(summary);
@@ -1852,12 +3331,259 @@ app.get('/university/:id/student-status-summary', async (req, res) => {
   }
 });
 
+// ============================================
+// UNIVERSITY REGISTRY (platform admins only)
+// ============================================
+
+// List universities (optional ?search=)
+app.get('/admin/universities', authenticateToken, requireRole(ROLES.PLATFORM_ADMIN), async (req, res) => {
+  try {
+    const universities = await universityRegistry.listUniversities({ search: req.query.search });
+    res.json({ universities });
+  } catch (error) {
+    console.error('List universities error:', error);
+    res.status(500).json({ error: 'Failed to load universities' });
+  }
+});
+
+// Create a university with its email domains
+app.post('/admin/universities', authenticateToken, requireRole(ROLES.PLATFORM_ADMIN), async (req, res) => {
+  const { name, shortName, domains = [] } = req.body;
+
+  if (!name || typeof name !== 'string') {
+    return res.status(400).json({ error: 'name is required' });
+  }
+
+  if (!Array.isArray(domains)) {
+    return res.status(400).json({ error: 'domains must be an array' });
+  }
+
+  const normalizedDomains = domains.map(domain => universityRegistry.normalizeDomain(domain));
+  if (normalizedDomains.includes(null)) {
+    return res.status(400).json({ error: 'One or more domains are invalid' });
+  }
+
+  try {
+    const university = await universityRegistry.createUniversity({
+      name: name.trim(),
+      shortName,
+      domains: [...new Set(normalizedDomains)]
+    });
+    res.status(201).json({ university });
+  } catch (error) {
+    if (error.code === '23505') { // Unique violation
+      return res.status(409).json({ error: 'One of these domains already belongs to a university' });
+    }
+    console.error('Create university error:', error);
+    res.status(500).json({ error: 'Failed to create university' });
+  }
+});
+
+// Re-run the student university_id backfill (e.g. after adding domains)
+app.post('/admin/universities/backfill', authenticateToken, requireRole(ROLES.PLATFORM_ADMIN), async (req, res) => {
+  try {
+    const updated = await universityRegistry.backfillStudents();
+    res.json({ success: true, studentsUpdated: updated });
+  } catch (error) {
+    console.error('University backfill error:', error);
+    res.status(500).json({ error: 'Failed to backfill students' });
+  }
+});
+
+// Get one university
+app.get('/admin/universities/:id', authenticateToken, requireRole(ROLES.PLATFORM_ADMIN), async (req, res) => {
+  try {
+    const university = await universityRegistry.getUniversity(parseInt(req.params.id) || 0);
+    if (!university) {
+      return res.status(404).json({ error: 'University not found' });
+    }
+    res.json({ university });
+  } catch (error) {
+    console.error('Get university error:', error);
+    res.status(500).json({ error: 'Failed to load university' });
+  }
+});
+
+// Rename a university
+app.put('/admin/universities/:id', authenticateToken, requireRole(ROLES.PLATFORM_ADMIN), async (req, res) => {
+  const { name, shortName } = req.body;
+
+  try {
+    const university = await universityRegistry.updateUniversity(parseInt(req.params.id) || 0, { name, shortName });
+    if (!university) {
+      return res.status(404).json({ error: 'University not found' });
+    }
+    res.json({ university });
+  } catch (error) {
+    console.error('Update university error:', error);
+    res.status(500).json({ error: 'Failed to update university' });
+  }
+});
+
+// Delete a university that no students belong to
+app.delete('/admin/universities/:id', authenticateToken, requireRole(ROLES.PLATFORM_ADMIN), async (req, res) => {
+  const universityId = parseInt(req.params.id) || 0;
+
+  try {
+    const university = await universityRegistry.getUniversity(universityId);
+    if (!university) {
+      return res.status(404).json({ error: 'University not found' });
+    }
+
+    if (university.student_count > 0) {
+      return res.status(409).json({
+        error: 'Students still belong to this university',
+        studentCount: university.student_count
+      });
+    }
+
+    await universityRegistry.deleteUniversity(universityId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete university error:', error);
+    res.status(500).json({ error: 'Failed to delete university' });
+  }
+});
+
+// Add an email domain to a university
+app.post('/admin/universities/:id/domains', authenticateToken, requireRole(ROLES.PLATFORM_ADMIN), async (req, res) => {
+  const universityId = parseInt(req.params.id) || 0;
+  const domain = universityRegistry.normalizeDomain(req.body.domain);
+
+  if (!domain) {
+    return res.status(400).json({ error: 'A valid domain is required' });
+  }
+
+  try {
+    if (!(await universityRegistry.getUniversity(universityId))) {
+      return res.status(404).json({ error: 'University not found' });
+    }
+
+    await universityRegistry.addDomain(universityId, domain);
+    res.status(201).json({ university: await universityRegistry.getUniversity(universityId) });
+  } catch (error) {
+    if (error.code === '23505') { // Unique violation
+      return res.status(409).json({ error: 'This domain already belongs to a university' });
+    }
+    console.error('Add university domain error:', error);
+    res.status(500).json({ error: 'Failed to add domain' });
+  }
+});
+
+// Remove an email domain from a university
+app.delete('/admin/universities/:id/domains/:domain', authenticateToken, requireRole(ROLES.PLATFORM_ADMIN), async (req, res) => {
+  const universityId = parseInt(req.params.id) || 0;
+  const domain = universityRegistry.normalizeDomain(req.params.domain);
+
+  try {
+    if (!domain || !(await universityRegistry.removeDomain(universityId, domain))) {
+      return res.status(404).json({ error: 'Domain not found for this university' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Remove university domain error:', error);
+    res.status(500).json({ error: 'Failed to remove domain' });
+  }
+});
+
+// Query the security audit log across accounts (platform admins only)
+app.get('/admin/security-events', authenticateToken, requireRole(ROLES.PLATFORM_ADMIN), async (req, res) => {
+  const { studentId, email, type, outcome, since, until, before, limit } = req.query;
+
+  if (studentId && !Number.isInteger(parseInt(studentId))) {
+    return res.status(400).json({ error: 'studentId must be a number' });
+  }
+
+  if (since && isNaN(new Date(since))) {
+    return res.status(400).json({ error: 'since must be a valid timestamp' });
+  }
+
+  if (until && isNaN(new Date(until))) {
+    return res.status(400).json({ error: 'until must be a valid timestamp' });
+  }
+
+  if (before && !Number.isInteger(parseInt(before))) {
+    return res.status(400).json({ error: 'before must be a number' });
+  }
+
+  try {
+    const events = await auditLog.search({
+      studentId: studentId ? parseInt(studentId) : null,
+      email,
+      type,
+      outcome,
+      since: since ? new Date(since).toISOString() : null,
+      until: until ? new Date(until).toISOString() : null,
+      before: before ? parseInt(before) : null,
+      limit
+    });
+
+    res.json({
+      events,
+      nextBefore: events.length > 0 ? events[events.length - 1].id : null
+    });
+  } catch (error) {
+    console.error('Admin security events error:', error);
+    res.status(500).json({ error: 'Failed to load security events' });
+  }
+});
+
+// Grant or change an account's role (platform admins only)
+app.put('/admin/students/:id/role', authenticateToken, requireRole(ROLES.PLATFORM_ADMIN), async (req, res) => {
+  const { role, universityId } = req.body;
+
+  if (!/^\d+$/.test(req.params.id)) {
+    return res.status(400).json({ error: 'Student id must be a number' });
+  }
+
+  // Past the INTEGER range no student can match
+  const studentId = parseInt(req.params.id);
+  if (studentId > 2147483647) {
+    return res.status(404).json({ error: 'Student not found' });
+  }
+
+  if (!Object.values(ROLES).includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${Object.values(ROLES).join(', ')}` });
+  }
+
+  if (role === ROLES.UNIVERSITY_ADMIN && !universityId) {
+    return res.status(400).json({ error: 'universityId is required for university admins' });
+  }
+
+  try {
+    const result = await pool.query(`
+      UPDATE students
+      SET role = $1,
+          university_id = COALESCE($2, university_id)
+      WHERE id = $3
+      RETURNING id, email, role, university_id
+    `, [role, universityId || null, studentId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    await auditLog.record(req, {
+      type: SECURITY_EVENTS.ROLE_CHANGE,
+      studentId: result.rows[0].id,
+      email: result.rows[0].email,
+      details: { role, universityId: result.rows[0].university_id, changedBy: req.user.userId }
+    });
+
+    // Takes effect on the student's next token refresh
+    res.json({ success: true, student: result.rows[0] });
+  } catch (error) {
+    console.error('Role update error:', error);
+    res.status(500).json({ error: 'Failed to update role' });
+  }
+});
+
 // ============================================
 // NEW DASHBOARD ENDPOINTS
 // ============================================
 
 // Learning Fingerprint - analyze study patterns
-app.get('/student/:id/learning-fingerprint', async (req, res) => {
+app.get('/student/:id/learning-fingerprint', authenticateToken, requireSelf('id'), async (req, res) => {
   const studentId = req.params.id;
 
   try {
@@ -1896,6 +3622,9 @@ app.get('/student/:id/learning-fingerprint', async (req, res) => {
       WHERE student_id = $1 AND duration_minutes > 0
     `, [studentId]);
 
+    // Time per site category
+    const categoryBreakdown = await siteClassifier.categoryBreakdown(studentId, 'all');
+
     // Map day numbers to names
     const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
@@ -1924,6 +3653,11 @@ app.get('/student/:id/learning-fingerprint', async (req, res) => {
       weeklyBreakdown: dayData.rows.map(row => ({
         day: dayNames[parseInt(row.day_num)],
         totalHours: (parseFloat(row.total_minutes) / 60).toFixed(1)
+      })),
+      categoryBreakdown: categoryBreakdown.map(entry => ({
+        category: entry.category,
+        totalHours: (entry.minutes / 60).toFixed(1),
+        share: entry.share
       }))
     });
   } catch (error) {
@@ -1932,7 +3666,7 @@ app.get('/student/:id/learning-fingerprint', async (req, res) => {
 });
 
 // Academic DNA - subject breakdown and deep work analysis
-app.get('/student/:id/academic-dna', async (req, res) => {
+app.get('/student/:id/academic-dna', authenticateToken, requireSelf('id'), async (req, res) => {
   const studentId = req.params.id;
 
   try {
@@ -1999,6 +3733,8 @@ app.get('/student/:id/academic-dna', async (req, res) => {
 });
 
 // Leaderboard - weekly rankings
+// weeklyHours is split into trackedHours, editedHours (sessions the student corrected)
+// and importedHours (brought in from other trackers)
 app.get('/leaderboard/weekly', async (req, res) => {
   try {
     const leaderboard = await pool.query(`
@@ -2007,12 +3743,16 @@ app.get('/leaderboard/weekly', async (req, res) => {
         s.codename,
         s.university,
         COALESCE(SUM(tl.duration_minutes), 0) / 60.0 as weekly_hours,
+        COALESCE(SUM(tl.duration_minutes) FILTER (WHERE NOT tl.is_edited AND tl.import_batch_id IS NULL), 0) / 60.0 as tracked_hours,
+        COALESCE(SUM(tl.duration_minutes) FILTER (WHERE tl.is_edited), 0) / 60.0 as edited_hours,
+        COALESCE(SUM(tl.duration_minutes) FILTER (WHERE NOT tl.is_edited AND tl.import_batch_id IS NOT NULL), 0) / 60.0 as imported_hours,
         COUNT(DISTINCT DATE(tl.session_start)) as active_days
       FROM students s
       LEFT JOIN time_logs tl ON tl.student_id = s.id
         AND tl.session_start >= DATE_TRUNC('week', CURRENT_DATE)
       GROUP BY s.id, s.codename, s.university
-      ORDER BY weekly_hours DESC
+      -- Imported and edited time is shown but doesn't earn a place
+      ORDER BY tracked_hours DESC, s.id
       LIMIT 100
     `);
 
@@ -2022,174 +3762,568 @@ app.get('/leaderboard/weekly', async (req, res) => {
         codename: row.codename || `Student ${row.id}`,
         university: row.university || 'Unknown',
         weeklyHours: parseFloat(row.weekly_hours).toFixed(1),
+        trackedHours: parseFloat(row.tracked_hours).toFixed(1),
+        editedHours: parseFloat(row.edited_hours).toFixed(1),
+        importedHours: parseFloat(row.imported_hours).toFixed(1),
         activeDays: parseInt(row.active_days)
       }))
     });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch leaderboard', details: error.message });
+    res.status(500).json({ error: 'Failed to fetch leaderboard', details: error.message });
+  }
+});
+
+// Student rank
+app.get('/student/:id/rank', authenticateToken, requireSelf('id'), async (req, res) => {
+  const studentId = req.params.id;
+
+  try {
+    // Get student's weekly hours; the rank uses tracked time only, like the leaderboard
+    const studentHours = await pool.query(`
+      SELECT COALESCE(SUM(duration_minutes), 0) / 60.0 as weekly_hours,
+             COALESCE(SUM(duration_minutes) FILTER (WHERE NOT is_edited AND import_batch_id IS NULL), 0) / 60.0 as tracked_hours
+      FROM time_logs
+      WHERE student_id = $1
+        AND session_start >= DATE_TRUNC('week', CURRENT_DATE)
+    `, [studentId]);
+
+    const myHours = parseFloat(studentHours.rows[0].weekly_hours);
+    const myTrackedHours = parseFloat(studentHours.rows[0].tracked_hours);
+
+    // Count students with more tracked hours
+    const rankResult = await pool.query(`
+      SELECT COUNT(*) + 1 as rank
+      FROM (
+        SELECT student_id
+        FROM time_logs
+        WHERE session_start >= DATE_TRUNC('week', CURRENT_DATE)
+        GROUP BY student_id
+        HAVING COALESCE(SUM(duration_minutes) FILTER (WHERE NOT is_edited AND import_batch_id IS NULL), 0) / 60.0 > $1
+      ) ahead
+    `, [myTrackedHours]);
+
+    // Total active students this week
+    const totalStudents = await pool.query(`
+      SELECT COUNT(DISTINCT student_id) as total
+      FROM time_logs
+      WHERE session_start >= DATE_TRUNC('week', CURRENT_DATE)
+    `);
+
+    const rank = parseInt(rankResult.rows[0].rank);
+    const total = parseInt(totalStudents.rows[0].total) || 1;
+    const percentile = Math.round(((total - rank + 1) / total) * 100);
+
+    res.json({
+      rank,
+      totalStudents: total,
+      percentile,
+      weeklyHours: myHours.toFixed(1),
+      trackedHours: myTrackedHours.toFixed(1)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch rank', details: error.message });
+  }
+});
+
+// Insights - peak days, peak hours, top activity
+app.get('/student/:id/insights', authenticateToken, requireSelf('id'), async (req, res) => {
+  const studentId = req.params.id;
+
+  try {
+    const tzResult = await pool.query('SELECT COALESCE(timezone, \'America/New_York\') as tz FROM students WHERE id = $1', [studentId])
+    const tz = tzResult.rows[0]?.tz || 'America/New_York'
+    // Peak study days (which days of week have most study time)
+    const peakDaysResult = await pool.query(`
+      SELECT
+        TO_CHAR(session_start, 'Day') as day_name,
+        SUM(duration_minutes) as total_minutes
+      FROM time_logs
+      WHERE student_id = $1 AND duration_minutes > 0
+      GROUP BY TO_CHAR(session_start, 'Day'), EXTRACT(DOW FROM session_start)
+      ORDER BY total_minutes DESC
+      LIMIT 2
+    `, [studentId]);
+
+    // Peak hours (what time of day)
+    const peakHoursResult = await pool.query(`
+      SELECT
+        EXTRACT(HOUR FROM session_start AT TIME ZONE '${tz}') as hour,
+        SUM(duration_minutes) as total_minutes
+      FROM time_logs
+      WHERE student_id = $1 AND duration_minutes > 0
+      GROUP BY EXTRACT(HOUR FROM session_start AT TIME ZONE '${tz}')
+      ORDER BY total_minutes DESC
+      LIMIT 1
+    `, [studentId]);
+
+    // Top activity (most used activity_type or url domain)
+    const topActivityResult = await pool.query(`
+      SELECT
+        COALESCE(activity_type, 'Study Session') as activity,
+        SUM(duration_minutes) as total_minutes
+      FROM time_logs
+      WHERE student_id = $1 AND duration_minutes > 0
+      GROUP BY activity_type
+      ORDER BY total_minutes DESC
+      LIMIT 1
+    `, [studentId]);
+
+    // Time per site category
+    const categoryBreakdown = await siteClassifier.categoryBreakdown(studentId, 'all');
+
+    // Format peak days
+    let peakDays = null;
+    if (peakDaysResult.rows.length > 0) {
+      peakDays = peakDaysResult.rows.map(r => r.day_name.trim()).join(' & ');
+    }
+
+    // Format peak hours
+    let peakHours = null;
+    if (peakHoursResult.rows.length > 0) {
+      const hour = parseInt(peakHoursResult.rows[0].hour);
+      const endHour = (hour + 2) % 24;
+      const formatHour = (h) => {
+        if (h === 0) return '12am';
+        if (h === 12) return '12pm';
+        return h > 12 ? `${h-12}pm` : `${h}am`;
+      };
+      peakHours = `${formatHour(hour)} - ${formatHour(endHour)}`;
+    }
+
+    // Format top activity
+    let topActivity = null;
+    if (topActivityResult.rows.length > 0) {
+      topActivity = topActivityResult.rows[0].activity;
+    }
+
+    res.json({
+      peakDays,
+      peakHours,
+      topActivity,
+      topCategory: categoryBreakdown.find(entry => entry.category !== 'other')?.category || null,
+      categoryBreakdown
+    });
+  } catch (error) {
+    console.error('Insights error:', error);
+    res.status(500).json({ error: 'Failed to fetch insights', details: error.message });
+  }
+});
+
+// Site classification rules: the built-in rules plus the student's own
+app.get('/student/:id/site-rules', authenticateToken, requireSelf('id'), async (req, res) => {
+  try {
+    res.json({
+      categories: SITE_CATEGORIES,
+      rules: await siteClassifier.listRules(req.params.id),
+      defaults: DEFAULT_SITE_RULES
+    });
+  } catch (error) {
+    console.error('List site rules error:', error);
+    res.status(500).json({ error: 'Failed to fetch site rules' });
+  }
+});
+
+// Add a rule; it takes precedence over the built-in rules
+// Body: { matchType: 'domain' | 'url' | 'keyword', pattern, category }
+app.post('/student/:id/site-rules', authenticateToken, requireSelf('id'), async (req, res) => {
+  const rule = { matchType: req.body.matchType, pattern: req.body.pattern, category: req.body.category };
+  const invalid = siteClassifier.validateRule(rule);
+
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  try {
+    const created = await siteClassifier.createRule(req.params.id, rule);
+    if (!created) {
+      return res.status(400).json({ error: `You can have at most ${MAX_RULES_PER_STUDENT} rules` });
+    }
+    res.status(201).json({ message: 'Rule added', rule: created });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'You already have a rule for this pattern' });
+    }
+    console.error('Create site rule error:', error);
+    res.status(500).json({ error: 'Failed to add rule' });
+  }
+});
+
+// Replace a rule
+// Body: { matchType, pattern, category }
+app.put('/student/:id/site-rules/:ruleId', authenticateToken, requireSelf('id'), async (req, res) => {
+  const ruleId = parseInt(req.params.ruleId);
+  const rule = { matchType: req.body.matchType, pattern: req.body.pattern, category: req.body.category };
+
+  if (!Number.isInteger(ruleId)) {
+    return res.status(404).json({ error: 'Rule not found' });
+  }
+
+  const invalid = siteClassifier.validateRule(rule);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  try {
+    const updated = await siteClassifier.updateRule(req.params.id, ruleId, rule);
+
+    if (!updated) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    res.json({ message: 'Rule updated', rule: updated });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'You already have a rule for this pattern' });
+    }
+    console.error('Update site rule error:', error);
+    res.status(500).json({ error: 'Failed to update rule' });
+  }
+});
+
+// Remove a rule
+app.delete('/student/:id/site-rules/:ruleId', authenticateToken, requireSelf('id'), async (req, res) => {
+  const ruleId = parseInt(req.params.ruleId);
+
+  if (!Number.isInteger(ruleId)) {
+    return res.status(404).json({ error: 'Rule not found' });
+  }
+
+  try {
+    const deleted = await siteClassifier.deleteRule(req.params.id, ruleId);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    res.json({ message: 'Rule deleted' });
+  } catch (error) {
+    console.error('Delete site rule error:', error);
+    res.status(500).json({ error: 'Failed to delete rule' });
+  }
+});
+
+// Preview which category a site falls into for this student
+// Query: siteName, url
+app.get('/student/:id/site-rules/classify', authenticateToken, requireSelf('id'), async (req, res) => {
+  try {
+    const { siteName, url } = req.query;
+    res.json({ category: await siteClassifier.classify(req.params.id, { siteName, url }) });
+  } catch (error) {
+    console.error('Classify site error:', error);
+    res.status(500).json({ error: 'Failed to classify site' });
+  }
+});
+
+// Update student profile (name, email, university)
+// Name and university change right away. A new email only becomes the login
+// identity after the code sent to it is confirmed at /student/:id/email-change/confirm.
+app.put('/student/:id/profile-info', authenticateToken, requireSelf('id'), async (req, res) => {
+  const studentId = req.params.id;
+  const { name, email, university } = req.body;
+  const newEmail = email?.trim().toLowerCase();
+
+  if (newEmail && !validateEmail(newEmail)) {
+    return res.status(400).json({ error: 'Invalid email format' });
+  }
+
+  try {
+    if (newEmail && !(await isAcademicEmail(newEmail))) {
+      return res.status(400).json({ error: 'Please use your university email address' });
+    }
+
+    if (newEmail) {
+      const taken = await pool.query(
+        'SELECT id FROM students WHERE LOWER(email) = $1 AND id <> $2',
+        [newEmail, studentId]
+      );
+      if (taken.rows.length > 0) {
+        return res.status(409).json({ error: 'That email is already in use by another account' });
+      }
+
+      // Same resend cooldown as /auth/send-verification, checked before anything is saved
+      const cooldown = await pool.query(`
+        SELECT GREATEST(1, CEIL(EXTRACT(EPOCH FROM (r.created_at + make_interval(secs => $2) - NOW()))))::int AS retry_after
+        FROM email_change_requests r
+        JOIN students s ON s.id = r.student_id
+        WHERE r.student_id = $1
+          AND r.created_at > NOW() - make_interval(secs => $2)
+          AND LOWER(s.email) <> $3
+      `, [studentId, VERIFICATION_RESEND_COOLDOWN_SECONDS, newEmail]);
+      if (cooldown.rows.length > 0) {
+        return sendResendCooldown(res, cooldown.rows[0].retry_after);
+      }
+    }
+
+    const result = await pool.query(`
+      UPDATE students
+      SET name = COALESCE($1, name),
+          university = COALESCE($2, university)
+      WHERE id = $3
+      RETURNING id, name, email, university, codename
+    `, [name, university, studentId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const student = result.rows[0];
+    const response = {
+      message: 'Profile updated successfully',
+      student
+    };
+
+    if (newEmail && newEmail !== student.email.toLowerCase()) {
+      // created_at is when the last code went out; a concurrent request inside
+      // the cooldown leaves the pending change alone
+      const code = generateVerificationCode();
+      const pending = await pool.query(`
+        INSERT INTO email_change_requests (student_id, new_email, code_hash, attempts, expires_at)
+        VALUES ($1, $2, $3, 0, NOW() + make_interval(mins => $4))
+        ON CONFLICT (student_id)
+        DO UPDATE SET new_email = EXCLUDED.new_email,
+                      code_hash = EXCLUDED.code_hash,
+                      attempts = 0,
+                      expires_at = EXCLUDED.expires_at,
+                      created_at = NOW()
+        WHERE email_change_requests.created_at <= NOW() - make_interval(secs => $5)
+        RETURNING new_email, expires_at
+      `, [studentId, newEmail, hashVerificationCode(newEmail, code), VERIFICATION_CODE_TTL_MINUTES, VERIFICATION_RESEND_COOLDOWN_SECONDS]);
+      if (pending.rows.length === 0) {
+        return sendResendCooldown(res, VERIFICATION_RESEND_COOLDOWN_SECONDS);
+      }
+
+      await sendEmail({
+        to: newEmail,
+        subject: 'Confirm your new Oumie email',
+        heading: 'Confirm your new email',
+        intro: 'Enter this code in Oumie to make this your sign-in email:',
+        code,
+        note: `This code expires in ${VERIFICATION_CODE_TTL_MINUTES} minutes.`
+      });
+      await sendEmail({
+        to: student.email,
+        subject: 'Your Oumie email is being changed',
+        heading: 'Email change requested',
+        intro: `Someone asked to change the email on your Oumie account to ${newEmail}. It will not change until the new address is confirmed.`,
+        note: 'If this was not you, change your password right away.',
+        footer: 'You are receiving this because it is the current email on your Oumie account.'
+      });
+
+      await auditLog.record(req, { type: SECURITY_EVENTS.EMAIL_CHANGE_REQUEST, details: { newEmail } });
+
+      response.message = 'Profile updated. Check your new email for a code to confirm the change.';
+      response.pendingEmailChange = {
+        newEmail: pending.rows[0].new_email,
+        expiresAt: pending.rows[0].expires_at
+      };
+    }
+
+    res.json(response);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update profile', details: error.message });
   }
 });
 
-// Student rank
-app.get('/student/:id/rank', async (req, res) => {
+// Confirm a pending email change with the code sent to the new address
+app.post('/student/:id/email-change/confirm', authenticateToken, requireSelf('id'), async (req, res) => {
   const studentId = req.params.id;
+  const { code } = req.body;
+
+  if (!code) {
+    return res.status(400).json({ error: 'Code is required' });
+  }
 
   try {
-    // Get student's weekly hours
-    const studentHours = await pool.query(`
-      SELECT COALESCE(SUM(duration_minutes), 0) / 60.0 as weekly_hours
-      FROM time_logs
+    const result = await pool.query(`
+      SELECT new_email, code_hash, attempts, (expires_at > NOW()) AS is_current
+      FROM email_change_requests
       WHERE student_id = $1
-        AND session_start >= DATE_TRUNC('week', CURRENT_DATE)
     `, [studentId]);
+    const pending = result.rows[0];
 
-    const myHours = parseFloat(studentHours.rows[0].weekly_hours);
+    if (!pending || !pending.is_current || pending.attempts >= MAX_VERIFICATION_ATTEMPTS) {
+      return res.status(400).json({ error: 'No pending email change, or the code has expired' });
+    }
 
-    // Count students with more hours
-    const rankResult = await pool.query(`
-      SELECT COUNT(DISTINCT student_id) + 1 as rank
-      FROM time_logs
-      WHERE session_start >= DATE_TRUNC('week', CURRENT_DATE)
-      GROUP BY student_id
-      HAVING SUM(duration_minutes) / 60.0 > $1
-    `, [myHours]);
+    // Wrong codes also count against the account across requested changes,
+    // the same counter /auth/verify-code uses
+    const lock = await accountLockout.check(req.user.email, 'verify_code');
+    if (lock.locked) {
+      return sendLockedOut(res, lock.retryAfter);
+    }
 
-    // Total active students this week
-    const totalStudents = await pool.query(`
-      SELECT COUNT(DISTINCT student_id) as total
-      FROM time_logs
-      WHERE session_start >= DATE_TRUNC('week', CURRENT_DATE)
-    `);
+    if (!hashesMatch(pending.code_hash, hashVerificationCode(pending.new_email, code))) {
+      const updated = await pool.query(
+        'UPDATE email_change_requests SET attempts = attempts + 1 WHERE student_id = $1 RETURNING attempts',
+        [studentId]
+      );
+      const attemptsRemaining = Math.max(0, MAX_VERIFICATION_ATTEMPTS - updated.rows[0].attempts);
+      const failure = await recordFailedAttempt(req.user.email, 'verify_code');
+      await auditLog.record(req, {
+        type: SECURITY_EVENTS.EMAIL_CHANGE_CONFIRM,
+        outcome: 'failure',
+        details: { reason: 'bad_code', newEmail: pending.new_email }
+      });
+      return res.status(400).json({
+        error: attemptsRemaining > 0
+          ? 'Invalid code'
+          : 'Too many incorrect attempts. Please request the change again.',
+        attemptsRemaining,
+        ...(failure.retryAfter > 0 && { retryAfter: failure.retryAfter })
+      });
+    }
 
-    const rank = rankResult.rows.length > 0 ? parseInt(rankResult.rows[0].rank) : 1;
-    const total = parseInt(totalStudents.rows[0].total) || 1;
-    const percentile = Math.round(((total - rank + 1) / total) * 100);
+    // The new address decides the university mapping
+    const newEmail = pending.new_email;
+    const detectedUniversity = await getUniversityFromEmail(newEmail);
+
+    const updated = await pool.query(`
+      UPDATE students
+      SET email = $1,
+          email_verified = true,
+          university_domain = $2,
+          university_id = $3,
+          university = COALESCE($4, university)
+      WHERE id = $5
+      RETURNING id, name, email, university, university_id, codename
+    `, [
+      newEmail,
+      newEmail.split('@')[1],
+      detectedUniversity?.id || null,
+      detectedUniversity?.name || null,
+      studentId
+    ]);
+
+    await pool.query('DELETE FROM email_change_requests WHERE student_id = $1', [studentId]);
+    await accountLockout.reset(req.user.email, 'verify_code');
+    await auditLog.record(req, {
+      type: SECURITY_EVENTS.EMAIL_CHANGE_CONFIRM,
+      email: newEmail,
+      details: { previousEmail: req.user.email, newEmail }
+    });
 
     res.json({
-      rank,
-      totalStudents: total,
-      percentile,
-      weeklyHours: myHours.toFixed(1)
+      message: 'Email updated successfully',
+      student: updated.rows[0]
     });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch rank', details: error.message });
+    if (error.code === '23505') { // Unique violation: taken since the request was made
+      return res.status(409).json({ error: 'That email is already in use by another account' });
+    }
+    console.error('Email change confirm error:', error);
+    res.status(500).json({ error: 'Failed to confirm email change' });
   }
 });
 
-// Insights - peak days, peak hours, top activity
-app.get('/student/:id/insights', authenticateToken, async (req, res) => {
-  const studentId = req.params.id;
+// Cancel a pending email change
+app.delete('/student/:id/email-change', authenticateToken, requireSelf('id'), async (req, res) => {
+  try {
+    await pool.query('DELETE FROM email_change_requests WHERE student_id = $1', [req.params.id]);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Email change cancel error:', error);
+    res.status(500).json({ error: 'Failed to cancel email change' });
+  }
+});
 
+// Download everything stored about the student as a JSON archive
+app.get('/student/:id/export', authenticateToken, requireSelf('id'), async (req, res) => {
   try {
-    if (parseInt(req.params.id) !== req.user.userId) {
-      return res.status(403).json({ error: 'Access denied' })
+    const archive = await accountData.exportData(req.params.id);
+
+    if (!archive) {
+      return res.status(404).json({ error: 'Student not found' });
     }
-    const tzResult = await pool.query('SELECT COALESCE(timezone, \'America/New_York\') as tz FROM students WHERE id = $1', [studentId])
-    const tz = tzResult.rows[0]?.tz || 'America/New_York'
-    // Peak study days (which days of week have most study time)
-    const peakDaysResult = await pool.query(`
-      SELECT
-        TO_CHAR(session_start, 'Day') as day_name,
-        SUM(duration_minutes) as total_minutes
-      FROM time_logs
-      WHERE student_id = $1 AND duration_minutes > 0
-      GROUP BY TO_CHAR(session_start, 'Day'), EXTRACT(DOW FROM session_start)
-      ORDER BY total_minutes DESC
-      LIMIT 2
-    `, [studentId]);
 
-    // Peak hours (what time of day)
-    const peakHoursResult = await pool.query(`
-      SELECT
-        EXTRACT(HOUR FROM session_start AT TIME ZONE '${tz}') as hour,
-        SUM(duration_minutes) as total_minutes
-      FROM time_logs
-      WHERE student_id = $1 AND duration_minutes > 0
-      GROUP BY EXTRACT(HOUR FROM session_start AT TIME ZONE '${tz}')
-      ORDER BY total_minutes DESC
-      LIMIT 1
-    `, [studentId]);
+    await auditLog.record(req, { type: SECURITY_EVENTS.DATA_EXPORT });
 
-    // Top activity (most used activity_type or url domain)
-    const topActivityResult = await pool.query(`
-      SELECT
-        COALESCE(activity_type, 'Study Session') as activity,
-        SUM(duration_minutes) as total_minutes
-      FROM time_logs
-      WHERE student_id = $1 AND duration_minutes > 0
-      GROUP BY activity_type
-      ORDER BY total_minutes DESC
-      LIMIT 1
-    `, [studentId]);
+    res.set('Content-Disposition', `attachment; filename="oumie-export-${req.params.id}.json"`);
+    res.json(archive);
+  } catch (error) {
+    console.error('Data export error:', error);
+    res.status(500).json({ error: 'Failed to export data' });
+  }
+});
 
-    // Format peak days
-    let peakDays = null;
-    if (peakDaysResult.rows.length > 0) {
-      peakDays = peakDaysResult.rows.map(r => r.day_name.trim()).join(' & ');
+// Schedule account deletion (needs the password, and a 2FA code when enabled)
+// The account is purged after the grace period unless the student cancels.
+app.post('/student/:id/deletion', authenticateToken, requireSelf('id'), async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  try {
+    const result = await pool.query(
+      'SELECT id, email, password_hash, totp_enabled, totp_secret, deletion_scheduled_for FROM students WHERE id = $1',
+      [req.params.id]
+    );
+    const student = result.rows[0];
+
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
     }
 
-    // Format peak hours
-    let peakHours = null;
-    if (peakHoursResult.rows.length > 0) {
-      const hour = parseInt(peakHoursResult.rows[0].hour);
-      const endHour = (hour + 2) % 24;
-      const formatHour = (h) => {
-        if (h === 0) return '12am';
-        if (h === 12) return '12pm';
-        return h > 12 ? `${h-12}pm` : `${h}am`;
-      };
-      peakHours = `${formatHour(hour)} - ${formatHour(endHour)}`;
+    if (student.deletion_scheduled_for) {
+      return res.status(409).json({
+        error: 'Account deletion is already scheduled',
+        deletionScheduledFor: student.deletion_scheduled_for
+      });
     }
 
-    // Format top activity
-    let topActivity = null;
-    if (topActivityResult.rows.length > 0) {
-      topActivity = topActivityResult.rows[0].activity;
+    if (student.password_hash && !(password && await comparePassword(password, student.password_hash))) {
+      return res.status(401).json({ error: 'Incorrect password' });
+    }
+
+    if (student.totp_enabled && !(await verifySecondFactor(student, { code, recoveryCode }))) {
+      return res.status(401).json({ error: 'Invalid authentication code' });
     }
 
-    res.json({ peakDays, peakHours, topActivity });
+    const scheduled = await accountData.scheduleDeletion(student.id);
+    await auditLog.record(req, {
+      type: SECURITY_EVENTS.ACCOUNT_DELETION_REQUEST,
+      details: { deletionScheduledFor: scheduled.deletion_scheduled_for }
+    });
+
+    await sendEmail({
+      to: student.email,
+      subject: 'Your Oumie account is scheduled for deletion',
+      heading: 'Account deletion scheduled',
+      intro: `Your Oumie account and all of its data will be permanently deleted in ${DELETION_GRACE_DAYS} days.`,
+      note: 'Changed your mind? Sign in and cancel the deletion from your settings before then.',
+      footer: 'You are receiving this because account deletion was requested for your Oumie account.'
+    });
+
+    res.json({
+      success: true,
+      message: `Your account will be deleted in ${DELETION_GRACE_DAYS} days`,
+      deletionScheduledFor: scheduled.deletion_scheduled_for
+    });
   } catch (error) {
-    console.error('Insights error:', error);
-    res.status(500).json({ error: 'Failed to fetch insights', details: error.message });
+    console.error('Account deletion request error:', error);
+    res.status(500).json({ error: 'Failed to schedule account deletion' });
   }
 });
 
-// Update student profile (name, email, university)
-app.put('/student/:id/profile-info', async (req, res) => {
-  const studentId = req.params.id;
-  const { name, email, university } = req.body;
-
+// Cancel a scheduled account deletion
+app.delete('/student/:id/deletion', authenticateToken, requireSelf('id'), async (req, res) => {
   try {
-    const result = await pool.query(`
-      UPDATE students
-      SET name = COALESCE($1, name),
-          email = COALESCE($2, email),
-          university = COALESCE($3, university)
-      WHERE id = $4
-      RETURNING id, name, email, university, codename
-    `, [name, email, university, studentId]);
+    const cancelled = await accountData.cancelDeletion(req.params.id);
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Student not found' });
+    if (!cancelled) {
+      return res.status(404).json({ error: 'No account deletion is scheduled' });
     }
 
-    res.json({
-      message: 'Profile updated successfully',
-      student: result.rows[0]
-    });
+    await auditLog.record(req, { type: SECURITY_EVENTS.ACCOUNT_DELETION_CANCEL });
+    res.json({ success: true, message: 'Account deletion cancelled' });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to update profile', details: error.message });
+    console.error('Account deletion cancel error:', error);
+    res.status(500).json({ error: 'Failed to cancel account deletion' });
   }
 });
 
 // Save onboarding answers
-app.post('/student/:id/onboarding', authenticateToken, async (req, res) => {
+app.post('/student/:id/onboarding', authenticateToken, requireSelf('id'), async (req, res) => {
   const { id } = req.params;
   const { year_in_school, major, study_struggle, study_environment, study_time_preference, study_goal, note_taking, focus_killer, timezone } = req.body;
   try {
-    if (parseInt(req.params.id) !== req.user.userId) {
-      return res.status(403).json({ error: 'Access denied' })
-    }
     await pool.query(`
       UPDATE students
       SET year_in_school = $1,
@@ -2204,6 +4338,10 @@ app.post('/student/:id/onboarding', authenticateToken, async (req, res) => {
           onboarding_completed = true
       WHERE id = $10
     `, [year_in_school, major, study_struggle, study_environment, study_time_preference, study_goal, note_taking, focus_killer, timezone, id]);
+    await auditLog.record(req, {
+      type: SECURITY_EVENTS.ONBOARDING_UPDATE,
+      details: { fields: Object.keys(req.body).filter(key => req.body[key] !== undefined) }
+    });
     res.json({ success: true });
   } catch (error) {
     console.error('Onboarding error:', error);
@@ -2238,17 +4376,15 @@ app.post('/contact', async (req, res) => {
 });
 
 // Toggle focus glow
-app.put('/student/:id/focus-glow', authenticateToken, async (req, res) => {
+app.put('/student/:id/focus-glow', authenticateToken, requireSelf('id'), async (req, res) => {
   const { id } = req.params;
   const { enabled } = req.body;
   try {
-    if (parseInt(req.params.id) !== req.user.userId) {
-      return res.status(403).json({ error: 'Access denied' })
-    }
     await pool.query(
       'UPDATE students SET focus_glow_enabled = $1 WHERE id = $2',
       [enabled, id]
     );
+    await studentEvents.refresh(id);
     res.json({ success: true, focus_glow_enabled: enabled });
   } catch (error) {
     console.error('Focus glow toggle error:', error);
@@ -2256,13 +4392,231 @@ app.put('/student/:id/focus-glow', authenticateToken, async (req, res) => {
   }
 });
 
+// Single-use ticket for opening the event stream from a browser EventSource,
+// which can't send an Authorization header
+app.post('/student/:id/stream-ticket', authenticateToken, requireSelf('id'), (req, res) => {
+  res.json(studentEvents.createTicket(req.user.userId));
+});
+
+// Live updates over Server-Sent Events
+// Auth: Authorization header (session or API token) or ?ticket= from /student/:id/stream-ticket
+// Events: state (on connect and after changes), tick (every few seconds while a
+// session runs), session.started / session.paused / session.resumed /
+// session.ended, goal.reached, badge.earned, and pomodoro.* (see the Pomodoro endpoints)
+app.get('/student/:id/stream', acceptStreamTicket(studentEvents, authenticateTokenOrApiToken(apiTokens, API_TOKEN_SCOPES.TIMELOG_WRITE)), requireSelf('id'), async (req, res) => {
+  try {
+    const opened = await studentEvents.subscribe(req.user.userId, req, res);
+
+    if (!opened) {
+      res.status(429).json({ error: `At most ${STREAM_POLICY.maxConnectionsPerStudent} open streams per account` });
+    }
+  } catch (error) {
+    console.error('Event stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to open event stream' });
+    } else {
+      res.end();
+    }
+  }
+});
+
+// POMODORO / INTERVAL STUDY MODE
+// ============================================
+// The timer lives on the server so the extension and the dashboard show the
+// same countdown. Work intervals are tracking sessions (send heartbeats for
+// timeLogId as usual); breaks are not tracked. Stream events: pomodoro.started,
+// pomodoro.work_completed, pomodoro.break_ended, pomodoro.work_started,
+// pomodoro.paused, pomodoro.resumed, pomodoro.finished
+
+// Announce Pomodoro changes on the student's streams and award the daily
+// Pomodoro badge when a work interval completes. Never throws.
+async function announcePomodoroChanges(changes) {
+  for (const { studentId, type, timer, cycle, sessions } of changes) {
+    try {
+      for (const session of sessions) {
+        await studentEvents.sessionChanged(studentId, session.type, session.log);
+      }
+      studentEvents.publish(studentId, type, { timer: pomodoroTimer.describe(timer), cycle });
+
+      if (type === 'pomodoro.work_completed') {
+        const { completedToday } = await pomodoroTimer.cycleSummary(studentId);
+        if (BADGES.pomodoro_pro.checkCondition(completedToday) && !(await hasBadgeToday(pool, studentId, 'pomodoro_pro'))) {
+          const badge = await awardBadge(pool, studentId, 'pomodoro_pro');
+          if (badge) studentEvents.badgesEarned(studentId, [badge]);
+        }
+      }
+    } catch (error) {
+      console.error('Pomodoro announce error:', error);
+    }
+  }
+}
+
+// Bring the student's timer up to date before reading or changing it
+async function advancePomodoro(studentId) {
+  await announcePomodoroChanges(await pomodoroTimer.advance(studentId));
+}
+
+// Current timer (null if none), for resuming on any device
+app.get('/student/:id/pomodoro', authenticateTokenOrApiToken(apiTokens, API_TOKEN_SCOPES.TIMELOG_WRITE), requireSelf('id'), async (req, res) => {
+  try {
+    await advancePomodoro(req.user.userId);
+
+    res.json({
+      timer: pomodoroTimer.describe(await pomodoroTimer.findOpen(req.user.userId)),
+      cycles: await pomodoroTimer.cycleSummary(req.user.userId),
+      presets: POMODORO_PRESETS
+    });
+  } catch (error) {
+    console.error('Get pomodoro error:', error);
+    res.status(500).json({ error: 'Failed to fetch Pomodoro timer' });
+  }
+});
+
+// Start a timer
+// Body: { preset: '25/5' | '50/10' | 'custom', workMinutes, shortBreakMinutes, longBreakMinutes,
+//         cyclesBeforeLongBreak (custom only), assignmentTitle, assignmentUrl, siteName }
+app.post('/student/:id/pomodoro', authenticateTokenOrApiToken(apiTokens, API_TOKEN_SCOPES.TIMELOG_WRITE), requireSelf('id'), async (req, res) => {
+  const { plan, error: invalid } = pomodoroTimer.resolvePlan(req.body);
+
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  // Same limits as synced sessions, which end up in the same columns
+  const { assignmentTitle, assignmentUrl, siteName } = req.body;
+  const fields = [
+    ['assignmentTitle', assignmentTitle, SYNC_POLICY.maxTitleLength],
+    ['assignmentUrl', assignmentUrl, null],
+    ['siteName', siteName, SYNC_POLICY.maxSiteNameLength]
+  ];
+  for (const [field, value, maxLength] of fields) {
+    if (value === undefined || value === null) continue;
+    if (typeof value !== 'string') {
+      return res.status(400).json({ error: `${field} must be a string` });
+    }
+    if (maxLength && value.length > maxLength) {
+      return res.status(400).json({ error: `${field} can't be longer than ${maxLength} characters` });
+    }
+  }
+
+  try {
+    await advancePomodoro(req.user.userId);
+
+    const result = await pomodoroTimer.start(req.user.userId, plan, { assignmentTitle, assignmentUrl, siteName });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await announcePomodoroChanges([result.change]);
+
+    res.status(201).json({
+      message: 'Pomodoro started',
+      timer: pomodoroTimer.describe(result.change.timer),
+      heartbeatIntervalSeconds: TRACKING_POLICY.heartbeatIntervalSeconds
+    });
+  } catch (error) {
+    console.error('Start pomodoro error:', error);
+    res.status(500).json({ error: 'Failed to start Pomodoro timer' });
+  }
+});
+
+// Pause the current phase
+app.post('/student/:id/pomodoro/pause', authenticateTokenOrApiToken(apiTokens, API_TOKEN_SCOPES.TIMELOG_WRITE), requireSelf('id'), async (req, res) => {
+  try {
+    await advancePomodoro(req.user.userId);
+
+    const result = await pomodoroTimer.pause(req.user.userId);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await announcePomodoroChanges([result.change]);
+    res.json({ message: 'Pomodoro paused', timer: pomodoroTimer.describe(result.change.timer) });
+  } catch (error) {
+    console.error('Pause pomodoro error:', error);
+    res.status(500).json({ error: 'Failed to pause Pomodoro timer' });
+  }
+});
+
+// Resume a paused phase
+app.post('/student/:id/pomodoro/resume', authenticateTokenOrApiToken(apiTokens, API_TOKEN_SCOPES.TIMELOG_WRITE), requireSelf('id'), async (req, res) => {
+  try {
+    await advancePomodoro(req.user.userId);
+
+    const result = await pomodoroTimer.resume(req.user.userId);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await announcePomodoroChanges([result.change]);
+    res.json({ message: 'Pomodoro resumed', timer: pomodoroTimer.describe(result.change.timer) });
+  } catch (error) {
+    console.error('Resume pomodoro error:', error);
+    res.status(500).json({ error: 'Failed to resume Pomodoro timer' });
+  }
+});
+
+// Start the next work interval (after a break, or skipping the rest of it)
+app.post('/student/:id/pomodoro/next', authenticateTokenOrApiToken(apiTokens, API_TOKEN_SCOPES.TIMELOG_WRITE), requireSelf('id'), async (req, res) => {
+  try {
+    await advancePomodoro(req.user.userId);
+
+    const result = await pomodoroTimer.next(req.user.userId);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await announcePomodoroChanges([result.change]);
+    res.json({ message: 'Work interval started', timer: pomodoroTimer.describe(result.change.timer) });
+  } catch (error) {
+    console.error('Next pomodoro error:', error);
+    res.status(500).json({ error: 'Failed to start the next interval' });
+  }
+});
+
+// Stop the timer; a work interval in progress is recorded as an abandoned cycle
+app.post('/student/:id/pomodoro/stop', authenticateTokenOrApiToken(apiTokens, API_TOKEN_SCOPES.TIMELOG_WRITE), requireSelf('id'), async (req, res) => {
+  try {
+    await advancePomodoro(req.user.userId);
+
+    const result = await pomodoroTimer.stop(req.user.userId);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await announcePomodoroChanges([result.change]);
+    res.json({
+      message: 'Pomodoro stopped',
+      timer: pomodoroTimer.describe(result.change.timer),
+      abandonedCycle: result.change.cycle
+    });
+  } catch (error) {
+    console.error('Stop pomodoro error:', error);
+    res.status(500).json({ error: 'Failed to stop Pomodoro timer' });
+  }
+});
+
+// Completed and abandoned cycles, newest first
+app.get('/student/:id/pomodoro/cycles', authenticateToken, requireSelf('id'), async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+  try {
+    await advancePomodoro(req.user.userId);
+
+    res.json({
+      cycles: await pomodoroTimer.listCycles(req.user.userId, limit),
+      summary: await pomodoroTimer.cycleSummary(req.user.userId)
+    });
+  } catch (error) {
+    console.error('List pomodoro cycles error:', error);
+    res.status(500).json({ error: 'Failed to fetch Pomodoro cycles' });
+  }
+});
+
 // Study pattern detection
-app.get('/student/:id/patterns', authenticateToken, async (req, res) => {
+app.get('/student/:id/patterns', authenticateToken, requireSelf('id'), async (req, res) => {
   const { id } = req.params;
   try {
-    if (parseInt(req.params.id) !== req.user.userId) {
-      return res.status(403).json({ error: 'Access denied' })
-    }
     const tzResult = await pool.query('SELECT COALESCE(timezone, \'America/New_York\') as tz FROM students WHERE id = $1', [id])
     const tz = tzResult.rows[0]?.tz || 'America/New_York'
     const result = await pool.query(`
@@ -2369,14 +4723,11 @@ const BASELINE_HOURS = {
 };
 
 // POST /student/:id/predictor — create a new assignment prediction
-app.post('/student/:id/predictor', authenticateToken, async (req, res) => {
+app.post('/student/:id/predictor', authenticateToken, requireSelf('id'), async (req, res) => {
   const { id } = req.params;
   const { subject_type, assignment_type, due_date } = req.body;
 
   try {
-    if (parseInt(req.params.id) !== req.user.userId) {
-      return res.status(403).json({ error: 'Access denied' })
-    }
     const tzResult = await pool.query('SELECT COALESCE(timezone, \'America/New_York\') as tz FROM students WHERE id = $1', [id])
     const tz = tzResult.rows[0]?.tz || 'America/New_York'
     // 1. Get baseline hours
@@ -2485,12 +4836,9 @@ app.post('/student/:id/predictor', authenticateToken, async (req, res) => {
 });
 
 // GET /student/:id/predictor — get all assignments for this student
-app.get('/student/:id/predictor', authenticateToken, async (req, res) => {
+app.get('/student/:id/predictor', authenticateToken, requireSelf('id'), async (req, res) => {
   const { id } = req.params;
   try {
-    if (parseInt(req.params.id) !== req.user.userId) {
-      return res.status(403).json({ error: 'Access denied' })
-    }
     await pool.query(`
       UPDATE assignments
       SET status = 'completed'
@@ -2514,12 +4862,9 @@ app.get('/student/:id/predictor', authenticateToken, async (req, res) => {
 });
 
 // GET /student/:id/past-assignments — get completed/past-due assignments
-app.get('/student/:id/past-assignments', authenticateToken, async (req, res) => {
+app.get('/student/:id/past-assignments', authenticateToken, requireSelf('id'), async (req, res) => {
   const { id } = req.params;
   try {
-    if (parseInt(req.params.id) !== req.user.userId) {
-      return res.status(403).json({ error: 'Access denied' })
-    }
     const result = await pool.query(`
       SELECT id, title, subject_type, assignment_type, due_date, personalized_hours, status, created_at
       FROM assignments
@@ -2536,12 +4881,9 @@ app.get('/student/:id/past-assignments', authenticateToken, async (req, res) =>
 });
 
 // DELETE /student/:id/predictor/:assignmentId — delete an assignment
-app.delete('/student/:id/predictor/:assignmentId', authenticateToken, async (req, res) => {
+app.delete('/student/:id/predictor/:assignmentId', authenticateToken, requireSelf('id'), async (req, res) => {
   const { id, assignmentId } = req.params;
   try {
-    if (parseInt(req.params.id) !== req.user.userId) {
-      return res.status(403).json({ error: 'Access denied' })
-    }
     await pool.query('DELETE FROM assignments WHERE id = $1 AND student_id = $2', [assignmentId, id]);
     res.json({ success: true });
   } catch (error) {
@@ -2550,12 +4892,9 @@ app.delete('/student/:id/predictor/:assignmentId', authenticateToken, async (req
 });
 
 // PATCH /student/:id/predictor/:assignmentId/complete — mark assignment completed
-app.patch('/student/:id/predictor/:assignmentId/complete', authenticateToken, async (req, res) => {
+app.patch('/student/:id/predictor/:assignmentId/complete', authenticateToken, requireSelf('id'), async (req, res) => {
   const { id, assignmentId } = req.params;
   try {
-    if (parseInt(req.params.id) !== req.user.userId) {
-      return res.status(403).json({ error: 'Access denied' })
-    }
     await pool.query('UPDATE assignments SET status = $1 WHERE id = $2 AND student_id = $3', ['completed', assignmentId, id]);
     res.json({ success: true });
   } catch (error) {
@@ -2564,12 +4903,9 @@ app.patch('/student/:id/predictor/:assignmentId/complete', authenticateToken, as
 });
 
 // GET /student/:id/dna — Academic DNA profile
-app.get('/student/:id/dna', authenticateToken, async (req, res) => {
+app.get('/student/:id/dna', authenticateToken, requireSelf('id'), async (req, res) => {
   const { id } = req.params;
   try {
-    if (parseInt(req.params.id) !== req.user.userId) {
-      return res.status(403).json({ error: 'Access denied' })
-    }
     // Step 1 — Fetch all data in parallel
     const [studentRes, timeStatsRes, topSubjectRes, hourDistRes, recent14Res, prev14Res] = await Promise.all([
       pool.query(
@@ -2759,9 +5095,10 @@ app.get('/student/:id/dna', authenticateToken, async (req, res) => {
 });
 
 // POST /student/:id/calendar/sync — save ICS URL and sync assignments
-app.post('/student/:id/calendar/sync', authenticateToken, async (req, res) => {
+// Synced items are assignments with source = 'ics', matched on re-sync by source_uid
+// Requires: migrations/merge-calendar-assignments.sql
+app.post('/student/:id/calendar/sync', authenticateToken, requireSelf('id'), async (req, res) => {
   const { id } = req.params;
-  if (parseInt(id) !== req.user.userId) return res.status(403).json({ error: 'Access denied' });
   const { icsUrl } = req.body;
   if (!icsUrl || !icsUrl.startsWith('http')) return res.status(400).json({ error: 'Valid ICS URL required' });
   try {
@@ -2863,15 +5200,17 @@ app.post('/student/:id/calendar/sync', authenticateToken, async (req, res) => {
         source_uid: event.uid || `${title}-${dueDateObj.toISOString()}`,
       });
     }
-    // Upsert assignments
+    // Upsert assignments (due dates follow the calendar; completion and tracked time are kept)
     for (const a of assignments) {
       await pool.query(`
-        INSERT INTO calendar_assignments (student_id, title, due_date, course_name, source_uid, ics_url)
-        VALUES ($1, $2, $3, $4, $5, $6)
+        INSERT INTO assignments (student_id, title, due_date, course_name, source, source_uid, ics_url)
+        VALUES ($1, $2, $3, $4, 'ics', $5, $6)
         ON CONFLICT (student_id, source_uid) DO UPDATE SET
           title = EXCLUDED.title,
           due_date = EXCLUDED.due_date,
           course_name = EXCLUDED.course_name,
+          source = 'ics',
+          ics_url = EXCLUDED.ics_url,
           updated_at = NOW()
       `, [id, a.title, a.due_date, a.course_name, a.source_uid, icsUrl]);
     }
@@ -2886,16 +5225,16 @@ app.post('/student/:id/calendar/sync', authenticateToken, async (req, res) => {
   }
 });
 
-// GET /student/:id/calendar — get all calendar assignments
-app.get('/student/:id/calendar', authenticateToken, async (req, res) => {
+// GET /student/:id/calendar — get all calendar assignments (ids are assignment ids)
+app.get('/student/:id/calendar', authenticateToken, requireSelf('id'), async (req, res) => {
   const { id } = req.params;
-  if (parseInt(id) !== req.user.userId) return res.status(403).json({ error: 'Access denied' });
   try {
     const [assignments, student] = await Promise.all([
       pool.query(`
-        SELECT id, title, due_date, course_name, source_uid
-        FROM calendar_assignments
+        SELECT id, title, due_date, course_name, source_uid, is_completed
+        FROM assignments
         WHERE student_id = $1
+        AND source = 'ics'
         AND due_date >= '2025-08-01' AND due_date <= '2026-08-31'
         ORDER BY due_date ASC
       `, [id]),
@@ -2912,11 +5251,18 @@ app.get('/student/:id/calendar', authenticateToken, async (req, res) => {
 });
 
 // DELETE /student/:id/calendar — remove ICS connection
-app.delete('/student/:id/calendar', authenticateToken, async (req, res) => {
+// Synced assignments with tracked time or marked complete are kept (deleting
+// them would cascade to their time logs); the rest are removed
+app.delete('/student/:id/calendar', authenticateToken, requireSelf('id'), async (req, res) => {
   const { id } = req.params;
-  if (parseInt(id) !== req.user.userId) return res.status(403).json({ error: 'Access denied' });
   try {
-    await pool.query('DELETE FROM calendar_assignments WHERE student_id = $1', [id]);
+    await pool.query(`
+      DELETE FROM assignments a
+      WHERE a.student_id = $1
+        AND a.source = 'ics'
+        AND a.is_completed = false
+        AND NOT EXISTS (SELECT 1 FROM time_logs t WHERE t.assignment_id = a.id)
+    `, [id]);
     await pool.query('UPDATE students SET ics_url = NULL, ics_last_synced = NULL WHERE id = $1', [id]);
     res.json({ success: true });
   } catch (err) {
@@ -2941,4 +5287,52 @@ app.listen(PORT, '0.0.0.0', () => {
             console.log('✅ Database connected successfully!');
         }
     });
+
+    // Purge accounts whose deletion grace period has ended
+    setInterval(async () => {
+        try {
+            const purged = await accountData.purgeDueAccounts();
+            for (const studentId of purged) {
+                await auditLog.record(null, { type: SECURITY_EVENTS.ACCOUNT_DELETED, studentId });
+            }
+            if (purged.length > 0) {
+                console.log(`🗑️  Purged ${purged.length} deleted account(s)`);
+            }
+        } catch (error) {
+            console.error('Account purge error:', error);
+        }
+    }, ACCOUNT_PURGE_INTERVAL_MS);
+
+    // Close time-tracking sessions whose heartbeats stopped
+    setInterval(async () => {
+        try {
+            const closed = await timeTracker.sweepStaleSessions();
+            for (const log of closed) {
+                await studentEvents.sessionChanged(log.student_id, 'session.ended', log);
+            }
+            if (closed.length > 0) {
+                console.log(`⏱️  Closed ${closed.length} stale time-tracking session(s)`);
+            }
+        } catch (error) {
+            console.error('Time log sweep error:', error);
+        }
+    }, TIME_LOG_SWEEP_INTERVAL_MS);
+
+    // Move Pomodoro timers on when their phase runs out
+    setInterval(async () => {
+        try {
+            await announcePomodoroChanges(await pomodoroTimer.advance());
+        } catch (error) {
+            console.error('Pomodoro advance error:', error);
+        }
+    }, POMODORO_POLICY.advanceIntervalSeconds * 1000);
+
+    // Live elapsed time and keep-alives for open event streams
+    setInterval(async () => {
+        try {
+            await studentEvents.tick();
+        } catch (error) {
+            console.error('Event stream tick error:', error);
+        }
+    }, STREAM_POLICY.tickSeconds * 1000);
 });
@@ -0,0 +1,83 @@
+// Transactional email for Oumie (sent through Resend)
+const { Resend } = require('resend');
+
+const resend = process.env.RESEND_API_KEY ? new Resend(process.env.RESEND_API_KEY) : null;
+const FROM_ADDRESS = 'Oumie <noreply@oumie.app>';
+
+// Escape user-controlled text before putting it in an email
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Render the standard dark Oumie email layout
+// content: { heading, intro, code, button: { label, url }, note, footer } (all plain text)
+function renderEmail({ heading, intro, code, button, note, footer }) {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background-color: #0a0a0a; color: #ffffff; padding: 40px 20px; margin: 0;">
+      <div style="max-width: 480px; margin: 0 auto; background-color: #171717; border-radius: 12px; padding: 40px; border: 1px solid #262626;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #3b82f6; font-size: 28px; margin: 0;">🎓 Oumie</h1>
+          <p style="color: #737373; margin-top: 8px;">Your study companion</p>
+        </div>
+        <h2 style="font-size: 20px; margin-bottom: 16px; text-align: center;">${escapeHtml(heading)}</h2>
+        ${intro ? `<p style="color: #a3a3a3; text-align: center; margin-bottom: 30px;">${escapeHtml(intro)}</p>` : ''}
+        ${code ? `
+        <div style="background-color: #262626; border-radius: 8px; padding: 20px; text-align: center; margin-bottom: 30px;">
+          <span style="font-size: 36px; font-weight: bold; letter-spacing: 8px; color: #ffffff;">${escapeHtml(code)}</span>
+        </div>` : ''}
+        ${button ? `
+        <div style="text-align: center; margin-bottom: 30px;">
+          <a href="${escapeHtml(button.url)}" style="background-color: #3b82f6; color: #ffffff; text-decoration: none; padding: 14px 32px; border-radius: 8px; font-weight: 600; font-size: 16px; display: inline-block;">
+            ${escapeHtml(button.label)}
+          </a>
+        </div>
+        <p style="color: #737373; font-size: 14px; text-align: center; margin-bottom: 20px;">
+          Or copy this link: <a href="${escapeHtml(button.url)}" style="color: #3b82f6;">${escapeHtml(button.url)}</a>
+        </p>` : ''}
+        ${note ? `<p style="color: #737373; font-size: 14px; text-align: center; margin-bottom: 20px;">${escapeHtml(note)}</p>` : ''}
+        <hr style="border: none; border-top: 1px solid #262626; margin: 30px 0;">
+        <p style="color: #525252; font-size: 12px; text-align: center;">
+          ${escapeHtml(footer || "If you didn't request this, you can safely ignore this email.")}
+        </p>
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+// Send an email in the standard layout
+// Never throws: a failed email must not fail the request that triggered it
+async function sendEmail({ to, subject, ...content }) {
+  if (!resend) {
+    // Links (magic links, unlock links) are live credentials and never logged
+    console.log(`No RESEND_API_KEY - "${subject}" for ${to}${content.code ? `: ${content.code}` : ''}`);
+    return false;
+  }
+
+  try {
+    await resend.emails.send({
+      from: FROM_ADDRESS,
+      to,
+      subject,
+      html: renderEmail(content)
+    });
+    return true;
+  } catch (error) {
+    console.error(`Email send error (${subject}):`, error);
+    return false;
+  }
+}
+
+module.exports = {
+  resend,
+  sendEmail,
+  renderEmail,
+  escapeHtml
+};
@@ -0,0 +1,9 @@
+-- Account deletion with a grace period
+-- POST /student/:id/deletion sets deletion_scheduled_for; the purge sweeper
+-- deletes the account (and everything keyed by its email) once it passes.
+-- DELETE /student/:id/deletion clears both columns again.
+ALTER TABLE students ADD COLUMN IF NOT EXISTS deletion_requested_at TIMESTAMP;
+ALTER TABLE students ADD COLUMN IF NOT EXISTS deletion_scheduled_for TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_students_deletion_scheduled
+  ON students(deletion_scheduled_for) WHERE deletion_scheduled_for IS NOT NULL;
@@ -0,0 +1,16 @@
+-- Per-account brute-force protection
+-- One counter per (email, action). Actions: 'login', 'verify_code', 'reset_password'.
+-- Keyed by email rather than student id so attempts against addresses
+-- without an account are throttled the same way.
+CREATE TABLE IF NOT EXISTS account_lockouts (
+  email VARCHAR(255) NOT NULL,
+  action VARCHAR(30) NOT NULL,
+  failed_attempts INTEGER NOT NULL DEFAULT 0,
+  last_failed_at TIMESTAMP,
+  locked_until TIMESTAMP,
+  unlock_token_hash VARCHAR(64),
+  unlock_token_expires_at TIMESTAMP,
+  PRIMARY KEY (email, action)
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_lockouts_unlock_token ON account_lockouts(unlock_token_hash);
@@ -0,0 +1,26 @@
+-- Multi-device sessions
+-- One row per signed-in device. Each row holds the hash of the device's
+-- current refresh token; the token rotates on every /auth/refresh.
+-- A session row is the token family: presenting an already-rotated token
+-- revokes the whole row.
+
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  id UUID PRIMARY KEY,
+  student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+  refresh_token_hash VARCHAR(64) NOT NULL,
+  device_name VARCHAR(100),
+  user_agent TEXT,
+  ip_address VARCHAR(64),
+  persistent BOOLEAN DEFAULT false,
+  created_at TIMESTAMP DEFAULT NOW(),
+  last_used_at TIMESTAMP DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP,
+  revoked_reason VARCHAR(50)
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_student ON auth_sessions(student_id);
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_expires ON auth_sessions(expires_at);
+
+-- students.refresh_token is no longer written. Tokens still stored there are
+-- moved into auth_sessions the first time they are used at /auth/refresh.
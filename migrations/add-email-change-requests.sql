@@ -0,0 +1,13 @@
+-- Pending email changes from PUT /student/:id/profile-info
+-- The new address only replaces students.email once the code sent to it is
+-- confirmed. One pending change per student; a new request replaces it.
+CREATE TABLE IF NOT EXISTS email_change_requests (
+  student_id INTEGER PRIMARY KEY REFERENCES students(id) ON DELETE CASCADE,
+  new_email VARCHAR(255) NOT NULL,
+  code_hash VARCHAR(64) NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_change_requests_new_email ON email_change_requests(LOWER(new_email));
@@ -0,0 +1,13 @@
+-- Passwordless sign-in links
+-- Same shape as password_resets, except only the SHA-256 hash of the
+-- token is stored. Links are single-use and expire after 15 minutes.
+CREATE TABLE IF NOT EXISTS magic_links (
+  id SERIAL PRIMARY KEY,
+  email TEXT NOT NULL,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMP NOT NULL,
+  used BOOLEAN DEFAULT false,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_magic_links_email ON magic_links(email);
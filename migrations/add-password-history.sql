@@ -0,0 +1,19 @@
+-- Password history
+-- Hashes of the passwords a student has used, so /auth/change-password and
+-- /auth/reset-password can refuse a recent one. Only the newest few rows per
+-- student are kept.
+CREATE TABLE IF NOT EXISTS password_history (
+  id SERIAL PRIMARY KEY,
+  student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+  password_hash VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_history_student ON password_history(student_id, created_at DESC);
+
+-- Seed with the current password of every account
+INSERT INTO password_history (student_id, password_hash)
+SELECT s.id, s.password_hash
+FROM students s
+WHERE s.password_hash IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM password_history h WHERE h.student_id = s.id);
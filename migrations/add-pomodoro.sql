@@ -0,0 +1,54 @@
+-- Server-side Pomodoro / interval study mode (/student/:id/pomodoro)
+-- A timer holds the plan and the current phase, so the extension and the
+-- dashboard resume the same countdown. Work phases are ordinary tracking
+-- sessions (time_logs); breaks are not tracked.
+CREATE TABLE IF NOT EXISTS pomodoro_timers (
+  id SERIAL PRIMARY KEY,
+  student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+  preset VARCHAR(10) NOT NULL CHECK (preset IN ('25/5', '50/10', 'custom')),
+  work_minutes INTEGER NOT NULL,
+  short_break_minutes INTEGER NOT NULL,
+  long_break_minutes INTEGER NOT NULL,
+  cycles_before_long_break INTEGER NOT NULL,
+  phase VARCHAR(20) NOT NULL CHECK (phase IN ('work', 'short_break', 'long_break')),
+  -- 'waiting': a break is over and the next work interval hasn't been started
+  status VARCHAR(20) NOT NULL CHECK (status IN ('running', 'paused', 'waiting', 'finished')),
+  completed_cycles INTEGER NOT NULL DEFAULT 0,
+  phase_started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  phase_ends_at TIMESTAMP,
+  paused_at TIMESTAMP,
+  remaining_seconds INTEGER,  -- time left in the phase while paused
+  time_log_id INTEGER REFERENCES time_logs(id) ON DELETE SET NULL,  -- current (or last) work session
+  assignment_title VARCHAR(500),
+  assignment_url TEXT,
+  site_name VARCHAR(100),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  ended_at TIMESTAMP,
+  ended_reason VARCHAR(20) CHECK (ended_reason IN ('stopped', 'expired', 'session_ended'))
+);
+
+-- At most one open timer per student
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pomodoro_timers_open ON pomodoro_timers(student_id) WHERE status <> 'finished';
+CREATE INDEX IF NOT EXISTS idx_pomodoro_timers_due ON pomodoro_timers(phase_ends_at) WHERE status = 'running';
+
+-- One row per work interval that finished (completed) or was cut short (abandoned)
+CREATE TABLE IF NOT EXISTS pomodoro_cycles (
+  id SERIAL PRIMARY KEY,
+  timer_id INTEGER NOT NULL REFERENCES pomodoro_timers(id) ON DELETE CASCADE,
+  student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+  cycle_number INTEGER NOT NULL,
+  time_log_id INTEGER REFERENCES time_logs(id) ON DELETE SET NULL,
+  status VARCHAR(20) NOT NULL CHECK (status IN ('completed', 'abandoned')),
+  -- for abandoned cycles: 'stopped', or the ended_reason of the work session
+  abandoned_reason VARCHAR(30),
+  planned_minutes INTEGER NOT NULL,
+  credited_minutes INTEGER NOT NULL DEFAULT 0,
+  started_at TIMESTAMP,
+  ended_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pomodoro_cycles_student ON pomodoro_cycles(student_id, ended_at DESC);
+
+-- time_logs.ended_reason gains 'pomodoro' (work interval completed) and
+-- 'pomodoro_stopped' (timer stopped during a work interval)
@@ -0,0 +1,14 @@
+-- Account roles
+-- 'student'           - regular account (default)
+-- 'university_admin'  - can see aggregate data for their own university_id
+-- 'platform_admin'    - Oumie staff, can see everything
+ALTER TABLE students ADD COLUMN IF NOT EXISTS role VARCHAR(30) NOT NULL DEFAULT 'student';
+
+ALTER TABLE students DROP CONSTRAINT IF EXISTS students_role_check;
+ALTER TABLE students ADD CONSTRAINT students_role_check
+  CHECK (role IN ('student', 'university_admin', 'platform_admin'));
+
+CREATE INDEX IF NOT EXISTS idx_students_role ON students(role) WHERE role <> 'student';
+
+-- Roles are granted by hand or through PUT /admin/students/:id/role, e.g.
+-- UPDATE students SET role = 'platform_admin' WHERE email = 'you@oumie.app';
@@ -0,0 +1,34 @@
+-- Security audit log
+-- Append-only record of authentication and account events. student_id has
+-- no foreign key on purpose: the trail has to outlive the account row.
+CREATE TABLE IF NOT EXISTS security_events (
+  id BIGSERIAL PRIMARY KEY,
+  student_id INTEGER,
+  email VARCHAR(255),
+  event_type VARCHAR(50) NOT NULL,
+  outcome VARCHAR(20) NOT NULL CHECK (outcome IN ('success', 'failure', 'blocked')),
+  ip_address VARCHAR(64),
+  user_agent TEXT,
+  details JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_security_events_student ON security_events(student_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_security_events_email ON security_events(LOWER(email), created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_security_events_type ON security_events(event_type, created_at DESC);
+
+-- Rows can never be updated. Deletes are only allowed inside a transaction
+-- that has run SET LOCAL oumie.allow_audit_purge = 'on' (account deletion).
+CREATE OR REPLACE FUNCTION security_events_append_only() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP = 'DELETE' AND current_setting('oumie.allow_audit_purge', true) = 'on' THEN
+    RETURN OLD;
+  END IF;
+  RAISE EXCEPTION 'security_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS security_events_append_only ON security_events;
+CREATE TRIGGER security_events_append_only
+  BEFORE UPDATE OR DELETE ON security_events
+  FOR EACH ROW EXECUTE FUNCTION security_events_append_only();
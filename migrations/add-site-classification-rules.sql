@@ -0,0 +1,18 @@
+-- Per-student site classification overrides
+-- Tracked time is grouped into categories by rules in services/siteClassifier.js.
+-- Rows here take precedence over the built-in rules for their student.
+--   match_type 'domain':  host equals pattern or is a subdomain of it
+--   match_type 'url':     the page URL contains pattern
+--   match_type 'keyword': the site name contains pattern (case-insensitive)
+CREATE TABLE IF NOT EXISTS site_classification_rules (
+  id SERIAL PRIMARY KEY,
+  student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+  match_type VARCHAR(20) NOT NULL CHECK (match_type IN ('domain', 'url', 'keyword')),
+  pattern VARCHAR(500) NOT NULL,
+  category VARCHAR(20) NOT NULL CHECK (category IN ('lms', 'writing', 'research', 'practice', 'distraction', 'other')),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (student_id, match_type, pattern)
+);
+
+CREATE INDEX IF NOT EXISTS idx_site_classification_rules_student ON site_classification_rules(student_id);
@@ -0,0 +1,30 @@
+-- Distraction events inside tracking sessions
+-- The extension reports time spent on non-study sites, idle periods and tab
+-- switch counts. Each session's totals and focus ratio (share of the session
+-- spent focused, 0-1) are kept on time_logs; focus_ratio stays NULL for
+-- sessions with neither heartbeats nor events, since nothing was measured.
+CREATE TABLE IF NOT EXISTS time_log_distractions (
+  id SERIAL PRIMARY KEY,
+  time_log_id INTEGER NOT NULL REFERENCES time_logs(id) ON DELETE CASCADE,
+  student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+  event_type VARCHAR(20) NOT NULL CHECK (event_type IN ('site_switch', 'idle', 'tab_switch')),
+  site_name VARCHAR(100),
+  started_at TIMESTAMP NOT NULL,
+  duration_seconds INTEGER NOT NULL DEFAULT 0,
+  switch_count INTEGER NOT NULL DEFAULT 0,
+  client_event_id UUID,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_time_log_distractions_time_log ON time_log_distractions(time_log_id);
+
+-- Retried uploads don't count an event twice
+CREATE UNIQUE INDEX IF NOT EXISTS idx_time_log_distractions_client_event
+  ON time_log_distractions(time_log_id, client_event_id) WHERE client_event_id IS NOT NULL;
+
+ALTER TABLE time_logs
+ADD COLUMN IF NOT EXISTS distracted_seconds INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS tab_switches INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS focus_ratio NUMERIC(4,3);
+
+-- was_focused is now written from focus_ratio (see FOCUS_POLICY in services/timeTracker.js)
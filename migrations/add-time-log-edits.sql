@@ -0,0 +1,21 @@
+-- Editable time log history
+-- Students can fix sessions (forgotten timers...) by editing, splitting,
+-- merging or deleting them. Every change stores the original values in
+-- time_log_edits, and edited rows are flagged so rankings can tell them apart
+-- from time the extension tracked. time_log_id has no foreign key so the
+-- history of deleted and merged sessions is kept.
+ALTER TABLE time_logs ADD COLUMN IF NOT EXISTS is_edited BOOLEAN NOT NULL DEFAULT false;
+
+CREATE TABLE IF NOT EXISTS time_log_edits (
+  id SERIAL PRIMARY KEY,
+  student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+  time_log_id INTEGER NOT NULL,
+  action VARCHAR(20) NOT NULL CHECK (action IN ('edit', 'split', 'merge', 'delete')),
+  original JSONB NOT NULL,
+  changes JSONB DEFAULT '{}'::jsonb,
+  related_time_log_ids INTEGER[] DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_time_log_edits_time_log ON time_log_edits(time_log_id);
+CREATE INDEX IF NOT EXISTS idx_time_log_edits_student ON time_log_edits(student_id, created_at DESC);
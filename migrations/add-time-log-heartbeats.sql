@@ -0,0 +1,14 @@
+-- Heartbeat-based time tracking
+-- The extension pings POST /time-log/heartbeat about once a minute while a
+-- session is open. Time between heartbeats counts toward active_seconds
+-- unless the gap is longer than the idle threshold (a break).
+-- duration_minutes is computed from active_seconds when the session ends.
+ALTER TABLE time_logs ADD COLUMN IF NOT EXISTS last_heartbeat_at TIMESTAMP;
+ALTER TABLE time_logs ADD COLUMN IF NOT EXISTS active_seconds INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE time_logs ADD COLUMN IF NOT EXISTS idle_seconds INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE time_logs ADD COLUMN IF NOT EXISTS ended_reason VARCHAR(30);
+-- Values: 'client' (POST /time-log/end), 'stale' (no heartbeat, closed by the sweeper),
+--         'abandoned' (never sent a heartbeat and left open for hours)
+
+CREATE INDEX IF NOT EXISTS idx_time_logs_active_heartbeat
+  ON time_logs(last_heartbeat_at) WHERE is_active = true;
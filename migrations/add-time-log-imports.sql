@@ -0,0 +1,22 @@
+-- Imported time history (POST /time-log/import)
+-- Each import is a batch; its rows carry import_batch_id so the whole import
+-- can be rolled back. Rolled-back batches are kept with rolled_back_at set.
+CREATE TABLE IF NOT EXISTS time_log_imports (
+  id SERIAL PRIMARY KEY,
+  student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+  source VARCHAR(20) NOT NULL CHECK (source IN ('csv', 'toggl', 'clockify')),
+  file_name VARCHAR(255),
+  total_rows INTEGER NOT NULL DEFAULT 0,
+  imported_rows INTEGER NOT NULL DEFAULT 0,
+  skipped_rows INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT NOW(),
+  rolled_back_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_time_log_imports_student ON time_log_imports(student_id, created_at DESC);
+
+ALTER TABLE time_logs ADD COLUMN IF NOT EXISTS import_batch_id INTEGER REFERENCES time_log_imports(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_time_logs_import_batch ON time_logs(import_batch_id) WHERE import_batch_id IS NOT NULL;
+
+-- Imported rows are stored closed, with ended_reason = 'imported'
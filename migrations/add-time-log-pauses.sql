@@ -0,0 +1,16 @@
+-- Pause / resume for tracking sessions
+-- Each pause is one row; resumed_at stays NULL while the session is paused.
+-- Paused time never counts toward time_logs.active_seconds.
+CREATE TABLE IF NOT EXISTS time_log_pauses (
+  id SERIAL PRIMARY KEY,
+  time_log_id INTEGER NOT NULL REFERENCES time_logs(id) ON DELETE CASCADE,
+  paused_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  resumed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_time_log_pauses_time_log ON time_log_pauses(time_log_id);
+
+ALTER TABLE time_logs ADD COLUMN IF NOT EXISTS is_paused BOOLEAN NOT NULL DEFAULT false;
+
+-- time_logs.ended_reason gains 'superseded': closed because a new session was
+-- started while TIME_LOG_CONCURRENCY=single
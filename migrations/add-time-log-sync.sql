@@ -0,0 +1,9 @@
+-- Offline sync for the extension (POST /time-log/sync)
+-- Sessions recorded offline carry a client-generated UUID, so a batch that
+-- is retried after a dropped connection doesn't create duplicates.
+ALTER TABLE time_logs ADD COLUMN IF NOT EXISTS client_session_id UUID;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_time_logs_client_session
+  ON time_logs(student_id, client_session_id) WHERE client_session_id IS NOT NULL;
+
+-- Synced rows are stored closed, with ended_reason = 'synced'
@@ -0,0 +1,19 @@
+-- Optional TOTP two-factor authentication
+-- totp_secret is set on enrollment; totp_enabled only flips to true once the
+-- student confirms a first code from their authenticator app.
+ALTER TABLE students ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64);
+ALTER TABLE students ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT false;
+ALTER TABLE students ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP;
+ALTER TABLE students ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT;
+-- Last accepted time step, so a code cannot be replayed within its window
+
+-- One-time recovery codes (only SHA-256 hashes are stored)
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+  id SERIAL PRIMARY KEY,
+  student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+  code_hash VARCHAR(64) NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_two_factor_recovery_codes_student ON two_factor_recovery_codes(student_id);
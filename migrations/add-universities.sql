@@ -0,0 +1,76 @@
+-- University registry
+-- Replaces the hardcoded universityDomains map in index.js. A student's
+-- university is found by matching their email domain, walking up to parent
+-- domains (cs.umich.edu -> umich.edu). Managed through /admin/universities.
+CREATE TABLE IF NOT EXISTS universities (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  short_name VARCHAR(100),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS university_domains (
+  domain VARCHAR(255) PRIMARY KEY,
+  university_id INTEGER NOT NULL REFERENCES universities(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_university_domains_university ON university_domains(university_id);
+
+-- Seed with the schools from the old map, keeping their ids
+-- (students.university_id and university admin accounts already use them)
+INSERT INTO universities (id, name, short_name) VALUES
+  (1, 'University of Montana', 'UMontana'),
+  (2, 'University of California, Los Angeles', 'UCLA'),
+  (3, 'UC Berkeley', 'Berkeley'),
+  (4, 'Stanford University', 'Stanford'),
+  (5, 'Harvard University', 'Harvard'),
+  (6, 'Massachusetts Institute of Technology', 'MIT'),
+  (7, 'University of Texas at Austin', 'UT Austin'),
+  (8, 'University of Michigan', 'UMich'),
+  (9, 'University of North Carolina', 'UNC'),
+  (10, 'New York University', 'NYU'),
+  (11, 'University of Arizona', 'UArizona'),
+  (12, 'Arizona State University', 'ASU'),
+  (13, 'Northern Arizona University', 'NAU')
+ON CONFLICT (id) DO NOTHING;
+
+SELECT setval('universities_id_seq', GREATEST((SELECT MAX(id) FROM universities), 1));
+
+-- email.arizona.edu is covered by arizona.edu through the parent-domain walk
+INSERT INTO university_domains (domain, university_id) VALUES
+  ('umontana.edu', 1),
+  ('umt.edu', 1),
+  ('ucla.edu', 2),
+  ('berkeley.edu', 3),
+  ('stanford.edu', 4),
+  ('harvard.edu', 5),
+  ('mit.edu', 6),
+  ('utexas.edu', 7),
+  ('umich.edu', 8),
+  ('unc.edu', 9),
+  ('nyu.edu', 10),
+  ('arizona.edu', 11),
+  ('asu.edu', 12),
+  ('nau.edu', 13)
+ON CONFLICT (domain) DO NOTHING;
+
+-- Backfill students that have no university_id yet, using the most specific
+-- registered domain their email falls under (same rule as the server).
+-- Can be re-run any time through POST /admin/universities/backfill.
+UPDATE students s
+SET university_id = (
+      SELECT d.university_id FROM university_domains d
+      WHERE LOWER(SPLIT_PART(s.email, '@', 2)) = d.domain
+         OR LOWER(SPLIT_PART(s.email, '@', 2)) LIKE '%.' || d.domain
+      ORDER BY LENGTH(d.domain) DESC
+      LIMIT 1
+    ),
+    university_domain = COALESCE(s.university_domain, LOWER(SPLIT_PART(s.email, '@', 2)))
+WHERE s.university_id IS NULL
+  AND EXISTS (
+    SELECT 1 FROM university_domains d
+    WHERE LOWER(SPLIT_PART(s.email, '@', 2)) = d.domain
+       OR LOWER(SPLIT_PART(s.email, '@', 2)) LIKE '%.' || d.domain
+  );
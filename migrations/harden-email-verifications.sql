@@ -0,0 +1,14 @@
+-- Harden email verification codes
+-- Codes are stored as an HMAC (code_hash), never in plain text.
+ALTER TABLE email_verifications ADD COLUMN IF NOT EXISTS code_hash VARCHAR(64);
+ALTER TABLE email_verifications ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+-- Wrong guesses against the current code; the code is burned at the limit
+ALTER TABLE email_verifications ADD COLUMN IF NOT EXISTS last_sent_at TIMESTAMP;
+-- Used for the per-email resend cooldown
+ALTER TABLE email_verifications ADD COLUMN IF NOT EXISTS verified_at TIMESTAMP;
+-- Signup only accepts a recent verification, not any old verified=true row
+
+ALTER TABLE email_verifications ALTER COLUMN code DROP NOT NULL;
+
+-- Drop plain-text codes still in the table; pending students just request a new one
+UPDATE email_verifications SET code = NULL;
@@ -0,0 +1,44 @@
+-- Calendar (ICS) items become ordinary assignments
+-- Synced items used to live in calendar_assignments, invisible to progress,
+-- the predictor, stats and time tracking. They are now assignments with
+-- source = 'ics', matched on re-sync by (student_id, source_uid).
+ALTER TABLE assignments ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'manual';
+ALTER TABLE assignments ADD COLUMN IF NOT EXISTS source_uid VARCHAR(500);
+ALTER TABLE assignments ADD COLUMN IF NOT EXISTS ics_url TEXT;
+
+-- NULL source_uids (every non-ICS assignment) never conflict
+CREATE UNIQUE INDEX IF NOT EXISTS idx_assignments_source_uid ON assignments(student_id, source_uid);
+
+DO $$
+BEGIN
+  IF to_regclass('calendar_assignments') IS NOT NULL THEN
+    -- Tracking time on a synced item created a separate assignment with a
+    -- placeholder due date; adopt the oldest open one with the same title
+    -- (ignoring the D2L " - Due" suffix) instead of adding a duplicate
+    UPDATE assignments a
+    SET source = 'ics',
+        source_uid = c.source_uid,
+        ics_url = c.ics_url,
+        due_date = c.due_date,
+        course_name = COALESCE(a.course_name, c.course_name),
+        updated_at = NOW()
+    FROM calendar_assignments c
+    WHERE c.due_date IS NOT NULL
+      AND c.source_uid IS NOT NULL
+      AND a.id = (
+        SELECT MIN(x.id) FROM assignments x
+        WHERE x.student_id = c.student_id
+          AND x.source_uid IS NULL
+          AND x.is_completed = false
+          AND LOWER(x.title) = LOWER(REGEXP_REPLACE(c.title, '\s*-\s*due$', '', 'i'))
+      );
+
+    INSERT INTO assignments (student_id, title, course_name, due_date, source, source_uid, ics_url, created_at, updated_at)
+    SELECT student_id, title, course_name, due_date, 'ics', source_uid, ics_url, created_at, updated_at
+    FROM calendar_assignments
+    WHERE due_date IS NOT NULL AND source_uid IS NOT NULL AND student_id IS NOT NULL
+    ON CONFLICT (student_id, source_uid) DO NOTHING;
+
+    DROP TABLE calendar_assignments;
+  END IF;
+END $$;
@@ -0,0 +1,178 @@
+/**
+ * Account Data
+ * Personal data export and account deletion (FERPA / GDPR requests).
+ * Deletion is scheduled with a grace period and carried out by purgeDueAccounts.
+ */
+
+const DELETION_GRACE_DAYS = 30;
+
+// Columns that never leave the server, even in the student's own export
+const SECRET_STUDENT_COLUMNS = ['password_hash', 'refresh_token', 'totp_secret', 'totp_last_used_step'];
+
+// Answers collected by POST /student/:id/onboarding
+const ONBOARDING_COLUMNS = [
+  'year_in_school', 'major', 'study_struggle', 'study_environment', 'study_time_preference',
+  'study_goal', 'note_taking', 'focus_killer', 'timezone', 'onboarding_completed'
+];
+
+// Per-student tables included in the export, keyed by archive section
+const EXPORT_TABLES = {
+  student_profiles: 'SELECT * FROM student_profiles WHERE student_id = $1',
+  assignments: 'SELECT * FROM assignments WHERE student_id = $1 ORDER BY id',
+  time_logs: 'SELECT * FROM time_logs WHERE student_id = $1 ORDER BY session_start, id',
+  time_log_edits: 'SELECT * FROM time_log_edits WHERE student_id = $1 ORDER BY id',
+  time_log_distractions: 'SELECT * FROM time_log_distractions WHERE student_id = $1 ORDER BY started_at, id',
+  time_log_imports: 'SELECT * FROM time_log_imports WHERE student_id = $1 ORDER BY id',
+  pomodoro_timers: 'SELECT * FROM pomodoro_timers WHERE student_id = $1 ORDER BY id',
+  pomodoro_cycles: 'SELECT * FROM pomodoro_cycles WHERE student_id = $1 ORDER BY id',
+  badges: 'SELECT * FROM badges WHERE student_id = $1 ORDER BY earned_at',
+  site_classification_rules: 'SELECT * FROM site_classification_rules WHERE student_id = $1 ORDER BY id',
+  learning_patterns: 'SELECT * FROM learning_patterns WHERE student_id = $1',
+  notifications: 'SELECT * FROM notifications WHERE student_id = $1 ORDER BY id',
+  sessions: `SELECT id, device_name, user_agent, ip_address, created_at, last_used_at, expires_at, revoked_at
+             FROM auth_sessions WHERE student_id = $1 ORDER BY created_at`,
+  api_tokens: `SELECT id, name, token_prefix, scopes, created_at, last_used_at, revoked_at
+               FROM api_tokens WHERE student_id = $1 ORDER BY created_at`,
+  security_events: 'SELECT * FROM security_events WHERE student_id = $1 ORDER BY id'
+};
+
+// Tables keyed by email instead of student_id (no foreign key to cascade from)
+const EMAIL_KEYED_TABLES = ['email_verifications', 'password_resets', 'magic_links', 'account_lockouts'];
+
+// Tables whose foreign key may predate ON DELETE CASCADE in production
+const STUDENT_KEYED_TABLES = ['badges'];
+
+class AccountData {
+
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Collect everything stored about a student
+   * @returns {Object|null} Export archive, or null if the student doesn't exist
+   */
+  async exportData(studentId) {
+    const studentResult = await this.db.query('SELECT * FROM students WHERE id = $1', [studentId]);
+    if (studentResult.rows.length === 0) return null;
+
+    const student = { ...studentResult.rows[0] };
+    SECRET_STUDENT_COLUMNS.forEach(column => delete student[column]);
+
+    const onboarding = {};
+    ONBOARDING_COLUMNS.forEach(column => { onboarding[column] = student[column] ?? null; });
+
+    const archive = {
+      exportedAt: new Date().toISOString(),
+      formatVersion: 1,
+      student,
+      onboarding
+    };
+
+    for (const [section, sql] of Object.entries(EXPORT_TABLES)) {
+      archive[section] = (await this.db.query(sql, [studentId])).rows;
+    }
+
+    return archive;
+  }
+
+  /**
+   * Schedule deletion after the grace period
+   * @returns {Object} { deletion_requested_at, deletion_scheduled_for }
+   */
+  async scheduleDeletion(studentId) {
+    const result = await this.db.query(`
+      UPDATE students
+      SET deletion_requested_at = NOW(),
+          deletion_scheduled_for = NOW() + make_interval(days => $2)
+      WHERE id = $1
+      RETURNING deletion_requested_at, deletion_scheduled_for
+    `, [studentId, DELETION_GRACE_DAYS]);
+    return result.rows[0];
+  }
+
+  /**
+   * Cancel a scheduled deletion
+   * @returns {boolean} True if a deletion was pending
+   */
+  async cancelDeletion(studentId) {
+    const result = await this.db.query(`
+      UPDATE students
+      SET deletion_requested_at = NULL, deletion_scheduled_for = NULL
+      WHERE id = $1 AND deletion_scheduled_for IS NOT NULL
+      RETURNING id
+    `, [studentId]);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Permanently delete one account and every row that refers to it
+   * Runs in a single transaction so a failure leaves the account intact.
+   */
+  async purgeAccount(studentId) {
+    const client = await this.db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const studentResult = await client.query(
+        'SELECT email FROM students WHERE id = $1 FOR UPDATE',
+        [studentId]
+      );
+      if (studentResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return false;
+      }
+      const email = studentResult.rows[0].email.toLowerCase();
+
+      for (const table of EMAIL_KEYED_TABLES) {
+        await client.query(`DELETE FROM ${table} WHERE LOWER(email) = $1`, [email]);
+      }
+      for (const table of STUDENT_KEYED_TABLES) {
+        await client.query(`DELETE FROM ${table} WHERE student_id = $1`, [studentId]);
+      }
+
+      // The audit log is append-only except for this purge
+      await client.query("SET LOCAL oumie.allow_audit_purge = 'on'");
+      await client.query(
+        'DELETE FROM security_events WHERE student_id = $1 OR LOWER(email) = $2',
+        [studentId, email]
+      );
+
+      // Everything else cascades from students
+      await client.query('DELETE FROM students WHERE id = $1', [studentId]);
+
+      await client.query('COMMIT');
+      return true;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Purge every account whose grace period has ended
+   * @returns {number[]} Ids of the purged accounts
+   */
+  async purgeDueAccounts() {
+    const due = await this.db.query(`
+      SELECT id FROM students
+      WHERE deletion_scheduled_for IS NOT NULL AND deletion_scheduled_for <= NOW()
+    `);
+
+    const purged = [];
+    for (const { id } of due.rows) {
+      try {
+        if (await this.purgeAccount(id)) purged.push(id);
+      } catch (error) {
+        console.error(`[AccountData] Failed to purge student ${id}:`, error.message);
+      }
+    }
+    return purged;
+  }
+}
+
+module.exports = AccountData;
+module.exports.DELETION_GRACE_DAYS = DELETION_GRACE_DAYS;
@@ -0,0 +1,143 @@
+/**
+ * Account Lockout
+ * Per-account failed-attempt counters for sensitive auth actions.
+ * Complements the IP-based authLimiter: students behind campus NAT no longer
+ * lock each other out, and rotating IPs does not reset the count.
+ */
+
+const crypto = require('crypto');
+const { hashToken } = require('../auth');
+
+const LOCKOUT_POLICY = {
+  freeAttempts: 3,            // failures allowed before any delay
+  baseDelaySeconds: 15,       // first backoff delay, doubled on each further failure
+  lockoutThreshold: 10,       // failures that trigger a full lockout (and unlock email)
+  lockoutSeconds: 60 * 60,    // first lockout length, doubled on each further failure
+  maxLockoutSeconds: 24 * 60 * 60,
+  resetAfterHours: 24         // counters restart after a quiet day
+};
+
+// Actions that are counted separately
+const LOCKOUT_ACTIONS = ['login', 'verify_code', 'reset_password'];
+
+class AccountLockout {
+
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * How long an account must wait after a given number of failures
+   * @param {number} attempts - Consecutive failures
+   * @returns {number} Seconds
+   */
+  delayFor(attempts) {
+    const policy = LOCKOUT_POLICY;
+    if (attempts <= policy.freeAttempts) return 0;
+    if (attempts < policy.lockoutThreshold) {
+      return policy.baseDelaySeconds * 2 ** (attempts - policy.freeAttempts - 1);
+    }
+    return Math.min(
+      policy.lockoutSeconds * 2 ** (attempts - policy.lockoutThreshold),
+      policy.maxLockoutSeconds
+    );
+  }
+
+  /**
+   * Check whether an account may attempt an action right now
+   * @returns {Object} { locked, retryAfter } (retryAfter in seconds)
+   */
+  async check(email, action) {
+    const result = await this.db.query(`
+      SELECT CEIL(EXTRACT(EPOCH FROM (locked_until - NOW())))::int AS retry_after
+      FROM account_lockouts
+      WHERE email = $1 AND action = $2 AND locked_until > NOW()
+    `, [email.toLowerCase(), action]);
+
+    if (result.rows.length === 0) {
+      return { locked: false, retryAfter: 0 };
+    }
+    return { locked: true, retryAfter: Math.max(1, result.rows[0].retry_after) };
+  }
+
+  /**
+   * Count a failed attempt and apply backoff or lockout
+   * @returns {Object} { attempts, retryAfter, lockedOut, unlockToken }
+   *   unlockToken is set only when this failure started a full lockout
+   */
+  async recordFailure(email, action) {
+    if (!LOCKOUT_ACTIONS.includes(action)) {
+      throw new Error(`Unknown lockout action: ${action}`);
+    }
+
+    const normalizedEmail = email.toLowerCase();
+    const counter = await this.db.query(`
+      INSERT INTO account_lockouts (email, action, failed_attempts, last_failed_at)
+      VALUES ($1, $2, 1, NOW())
+      ON CONFLICT (email, action) DO UPDATE SET
+        failed_attempts = CASE
+          WHEN account_lockouts.last_failed_at < NOW() - make_interval(hours => $3) THEN 1
+          ELSE account_lockouts.failed_attempts + 1
+        END,
+        last_failed_at = NOW()
+      RETURNING failed_attempts
+    `, [normalizedEmail, action, LOCKOUT_POLICY.resetAfterHours]);
+
+    const attempts = counter.rows[0].failed_attempts;
+    const retryAfter = this.delayFor(attempts);
+    const lockedOut = attempts >= LOCKOUT_POLICY.lockoutThreshold;
+
+    if (retryAfter === 0) {
+      return { attempts, retryAfter, lockedOut: false, unlockToken: null };
+    }
+
+    // A full lockout comes with a single-use unlock link, valid while it lasts
+    const unlockToken = lockedOut ? crypto.randomBytes(32).toString('hex') : null;
+
+    await this.db.query(`
+      UPDATE account_lockouts
+      SET locked_until = NOW() + make_interval(secs => $3),
+          unlock_token_hash = COALESCE($4, unlock_token_hash),
+          unlock_token_expires_at = CASE WHEN $4::text IS NULL THEN unlock_token_expires_at
+                                         ELSE NOW() + make_interval(secs => $3) END
+      WHERE email = $1 AND action = $2
+    `, [normalizedEmail, action, retryAfter, unlockToken ? hashToken(unlockToken) : null]);
+
+    if (lockedOut) {
+      console.warn(`[AccountLockout] ${action} locked for ${normalizedEmail} after ${attempts} failures`);
+    }
+
+    return { attempts, retryAfter, lockedOut, unlockToken };
+  }
+
+  /**
+   * Clear the counter after a successful attempt
+   */
+  async reset(email, action) {
+    await this.db.query(
+      'DELETE FROM account_lockouts WHERE email = $1 AND action = $2',
+      [email.toLowerCase(), action]
+    );
+  }
+
+  /**
+   * Lift every lockout on an account using the emailed unlock token
+   * @returns {string|null} The unlocked email, or null if the token is invalid
+   */
+  async unlock(token) {
+    const result = await this.db.query(`
+      DELETE FROM account_lockouts
+      WHERE email = (
+        SELECT email FROM account_lockouts
+        WHERE unlock_token_hash = $1 AND unlock_token_expires_at > NOW()
+        LIMIT 1
+      )
+      RETURNING email
+    `, [hashToken(token)]);
+
+    return result.rows[0]?.email || null;
+  }
+}
+
+module.exports = AccountLockout;
+module.exports.LOCKOUT_POLICY = LOCKOUT_POLICY;
@@ -0,0 +1,97 @@
+/**
+ * API Tokens
+ * Personal, long-lived tokens for the browser extension. Unlike session
+ * tokens they carry scopes and only reach routes that accept those scopes.
+ */
+
+const crypto = require('crypto');
+const { hashToken } = require('../auth');
+
+const TOKEN_PREFIX = 'oumie_pat_';
+
+// Scopes a token can be granted
+const API_TOKEN_SCOPES = {
+  TIMELOG_WRITE: 'timelog:write'
+};
+
+class ApiTokenManager {
+
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Whether a bearer token looks like a personal API token (vs. a JWT)
+   */
+  isApiToken(token) {
+    return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+  }
+
+  /**
+   * Create a token. The plain token is only ever returned here.
+   * @param {number} studentId - Owner
+   * @param {string} name - Label shown in the token list
+   * @param {string[]} scopes - Subset of API_TOKEN_SCOPES
+   * @returns {Object} { token, apiToken } (apiToken is the stored row, without the hash)
+   */
+  async createToken(studentId, name, scopes) {
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+
+    const result = await this.db.query(`
+      INSERT INTO api_tokens (student_id, name, token_hash, token_prefix, scopes)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING id, name, token_prefix, scopes, created_at, last_used_at
+    `, [studentId, name, hashToken(token), token.slice(0, TOKEN_PREFIX.length + 6), scopes]);
+
+    return { token, apiToken: result.rows[0] };
+  }
+
+  /**
+   * Resolve a presented token and stamp its last use
+   * @returns {Object|null} { id, studentId, email, scopes }, or null if unknown or revoked
+   */
+  async authenticate(token) {
+    const result = await this.db.query(`
+      UPDATE api_tokens t
+      SET last_used_at = NOW()
+      FROM students s
+      WHERE s.id = t.student_id
+        AND t.token_hash = $1
+        AND t.revoked_at IS NULL
+      RETURNING t.id, t.student_id, t.scopes, s.email
+    `, [hashToken(token)]);
+
+    const row = result.rows[0];
+    if (!row) return null;
+    return { id: row.id, studentId: row.student_id, email: row.email, scopes: row.scopes };
+  }
+
+  /**
+   * List a student's live tokens, newest first
+   */
+  async listTokens(studentId) {
+    const result = await this.db.query(`
+      SELECT id, name, token_prefix, scopes, created_at, last_used_at
+      FROM api_tokens
+      WHERE student_id = $1 AND revoked_at IS NULL
+      ORDER BY created_at DESC
+    `, [studentId]);
+    return result.rows;
+  }
+
+  /**
+   * Revoke one of a student's tokens
+   * @returns {boolean} True if a live token was revoked
+   */
+  async revokeToken(tokenId, studentId) {
+    const result = await this.db.query(`
+      UPDATE api_tokens SET revoked_at = NOW()
+      WHERE id = $1 AND student_id = $2 AND revoked_at IS NULL
+      RETURNING id
+    `, [tokenId, studentId]);
+    return result.rows.length > 0;
+  }
+}
+
+module.exports = ApiTokenManager;
+module.exports.API_TOKEN_SCOPES = API_TOKEN_SCOPES;
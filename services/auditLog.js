@@ -0,0 +1,104 @@
+/**
+ * Audit Log
+ * Append-only trail of authentication and account events (security_events).
+ * Recording never throws: a logging failure must not fail the request.
+ */
+
+// Event types written by the server
+const SECURITY_EVENTS = {
+  LOGIN: 'login',
+  LOGIN_2FA: 'login_2fa',
+  MAGIC_LINK_LOGIN: 'magic_link_login',
+  ACCOUNT_CLAIM: 'account_claim',
+  SIGNUP: 'signup',
+  PASSWORD_RESET_REQUEST: 'password_reset_request',
+  PASSWORD_RESET: 'password_reset',
+  PASSWORD_CHANGE: 'password_change',
+  TOKEN_REFRESH: 'token_refresh',
+  LOGOUT: 'logout',
+  SESSION_REVOKE: 'session_revoke',
+  TWO_FACTOR_ENABLE: '2fa_enable',
+  TWO_FACTOR_DISABLE: '2fa_disable',
+  API_TOKEN_CREATE: 'api_token_create',
+  API_TOKEN_REVOKE: 'api_token_revoke',
+  EMAIL_CHANGE_REQUEST: 'email_change_request',
+  EMAIL_CHANGE_CONFIRM: 'email_change_confirm',
+  ONBOARDING_UPDATE: 'onboarding_update',
+  ROLE_CHANGE: 'role_change',
+  DATA_EXPORT: 'data_export',
+  ACCOUNT_DELETION_REQUEST: 'account_deletion_request',
+  ACCOUNT_DELETION_CANCEL: 'account_deletion_cancel',
+  ACCOUNT_DELETED: 'account_deleted'
+};
+
+const MAX_PAGE_SIZE = 200;
+
+class AuditLog {
+
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Record one event
+   * @param {Object} req - Express request (IP and user agent are taken from it)
+   * @param {Object} event - { type, outcome, studentId, email, details }
+   *   outcome is 'success', 'failure' or 'blocked'; studentId defaults to req.user
+   */
+  async record(req, { type, outcome = 'success', studentId, email, details = {} }) {
+    try {
+      await this.db.query(`
+        INSERT INTO security_events
+        (student_id, email, event_type, outcome, ip_address, user_agent, details)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `, [
+        studentId ?? req?.user?.userId ?? null,
+        (email || req?.user?.email)?.toLowerCase() || null,
+        type,
+        outcome,
+        req?.ip || null,
+        req?.get?.('user-agent') || null,
+        JSON.stringify(details)
+      ]);
+    } catch (error) {
+      console.error(`[AuditLog] Failed to record ${type}:`, error.message);
+    }
+  }
+
+  /**
+   * Query events, newest first
+   * @param {Object} filters - { studentId, email, type, outcome, since, until, before, limit }
+   *   before is an event id, for paging
+   * @returns {Array} Events
+   */
+  async search(filters = {}) {
+    const limit = Math.min(Math.max(parseInt(filters.limit) || 50, 1), MAX_PAGE_SIZE);
+
+    const result = await this.db.query(`
+      SELECT id, student_id, email, event_type, outcome, ip_address, user_agent, details, created_at
+      FROM security_events
+      WHERE ($1::int IS NULL OR student_id = $1)
+        AND ($2::text IS NULL OR LOWER(email) = LOWER($2))
+        AND ($3::text IS NULL OR event_type = $3)
+        AND ($4::text IS NULL OR outcome = $4)
+        AND ($5::timestamp IS NULL OR created_at >= $5)
+        AND ($6::timestamp IS NULL OR created_at < $6)
+        AND ($7::bigint IS NULL OR id < $7)
+      ORDER BY id DESC
+      LIMIT $8
+    `, [
+      filters.studentId ?? null,
+      filters.email || null,
+      filters.type || null,
+      filters.outcome || null,
+      filters.since || null,
+      filters.until || null,
+      filters.before || null,
+      limit
+    ]);
+    return result.rows;
+  }
+}
+
+module.exports = AuditLog;
+module.exports.SECURITY_EVENTS = SECURITY_EVENTS;
@@ -0,0 +1,467 @@
+/**
+ * Pomodoro Timer
+ * Server-side interval study mode: a plan (25/5, 50/10 or custom), the current
+ * phase and the completed cycles live here, so the extension and the dashboard
+ * resume the same countdown. Each work interval is an ordinary tracking
+ * session (TimeTracker), breaks are not tracked. A work interval that doesn't
+ * run to the end - timer stopped, or its session ended elsewhere (ended by the
+ * extension, superseded by another session, swept as stale) - is recorded as
+ * an abandoned cycle and finishes the timer.
+ */
+
+const TimeTracker = require('./timeTracker');
+const { TRACKING_POLICY } = TimeTracker;
+
+const POMODORO_PRESETS = {
+  '25/5': { workMinutes: 25, shortBreakMinutes: 5, longBreakMinutes: 15, cyclesBeforeLongBreak: 4 },
+  '50/10': { workMinutes: 50, shortBreakMinutes: 10, longBreakMinutes: 30, cyclesBeforeLongBreak: 2 }
+};
+
+// Bounds for custom plans: [min, max]
+const CUSTOM_PLAN_LIMITS = {
+  workMinutes: [5, 120],
+  shortBreakMinutes: [1, 60],
+  longBreakMinutes: [1, 60],
+  cyclesBeforeLongBreak: [1, 10]
+};
+
+const POMODORO_POLICY = {
+  advanceIntervalSeconds: 15, // how often phases that ran out are advanced
+  waitingTimeoutMinutes: 60,  // a timer left waiting after a break this long is finished
+  focusBonusMax: 10           // focus score points: one per cycle completed in the last 7 days
+};
+
+// Seconds left in the running phase, measured on the server clock
+const TIMER_COLUMNS = `*, GREATEST(0, CEIL(EXTRACT(EPOCH FROM (phase_ends_at - NOW()))))::int AS seconds_left`;
+
+// What advance() has to do with an open timer (p) and its work session (t), if anything.
+// A work phase whose session is no longer active was cut short elsewhere.
+const DUE_SQL = `CASE
+    WHEN p.phase = 'work' AND t.is_active IS NOT TRUE THEN 'session_ended'
+    WHEN p.status = 'running' AND p.phase_ends_at <= NOW() THEN CASE WHEN p.phase = 'work' THEN 'work_done' ELSE 'break_done' END
+    WHEN p.status = 'waiting' AND p.phase_ends_at <= NOW() - make_interval(mins => ${POMODORO_POLICY.waitingTimeoutMinutes}) THEN 'expired'
+    WHEN p.status = 'paused' AND p.paused_at <= NOW() - make_interval(hours => ${TRACKING_POLICY.abandonedAfterHours}) THEN 'expired'
+  END`;
+
+// Abort the current action; caught by inTransaction and turned into { error, status }
+function reject(message, status = 409) {
+  const error = new Error(message);
+  error.rejection = { error: message, status };
+  throw error;
+}
+
+// A change for the caller to announce: the timer after it, the cycle it
+// recorded (if any) and the tracking-session events it caused
+function change(type, timer, { cycle = null, sessions = [] } = {}) {
+  return { studentId: timer.student_id, type, timer, cycle, sessions };
+}
+
+class PomodoroTimer {
+
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Turn a start request into a plan
+   * Custom plans may leave out values; they default to the 25/5 preset.
+   * @param {Object} body - { preset, workMinutes, shortBreakMinutes, longBreakMinutes, cyclesBeforeLongBreak }
+   * @returns {Object} { plan } or { error }
+   */
+  resolvePlan({ preset = '25/5', ...custom } = {}) {
+    if (POMODORO_PRESETS[preset]) {
+      return { plan: { preset, ...POMODORO_PRESETS[preset] } };
+    }
+    if (preset !== 'custom') {
+      return { error: `preset must be one of ${[...Object.keys(POMODORO_PRESETS), 'custom'].join(', ')}` };
+    }
+
+    const plan = { preset };
+    for (const [key, [min, max]] of Object.entries(CUSTOM_PLAN_LIMITS)) {
+      const value = custom[key] === undefined ? POMODORO_PRESETS['25/5'][key] : Number(custom[key]);
+      if (!Number.isInteger(value) || value < min || value > max) {
+        return { error: `${key} must be a whole number from ${min} to ${max}` };
+      }
+      plan[key] = value;
+    }
+    return { plan };
+  }
+
+  /**
+   * The student's open timer (null if none)
+   */
+  async findOpen(studentId) {
+    const result = await this.db.query(
+      `SELECT ${TIMER_COLUMNS} FROM pomodoro_timers WHERE student_id = $1 AND status <> 'finished'`,
+      [studentId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Start a timer with its first work interval
+   * @param {Object} plan - From resolvePlan
+   * @param {Object} details - { assignmentTitle, assignmentUrl, siteName } for the work sessions
+   * @returns {Object} { change } or { error, status } (409 if a timer is already open)
+   */
+  async start(studentId, plan, { assignmentTitle, assignmentUrl, siteName } = {}) {
+    return this.inTransaction(async client => {
+      let timer;
+      try {
+        const result = await client.query(`
+          INSERT INTO pomodoro_timers
+          (student_id, preset, work_minutes, short_break_minutes, long_break_minutes, cycles_before_long_break,
+           phase, status, assignment_title, assignment_url, site_name)
+          VALUES ($1, $2, $3, $4, $5, $6, 'work', 'running', $7, $8, $9)
+          RETURNING *
+        `, [
+          studentId, plan.preset, plan.workMinutes, plan.shortBreakMinutes, plan.longBreakMinutes,
+          plan.cyclesBeforeLongBreak, assignmentTitle || 'Pomodoro session', assignmentUrl || null,
+          siteName || null
+        ]);
+        timer = result.rows[0];
+      } catch (error) {
+        if (error.code === '23505') reject('A Pomodoro timer is already running');
+        throw error;
+      }
+
+      return { change: await this.startWork(client, timer, 'pomodoro.started') };
+    });
+  }
+
+  /**
+   * Pause the running phase (and its work session)
+   * @returns {Object} { change } or { error, status }
+   */
+  async pause(studentId) {
+    return this.inTransaction(async client => {
+      const timer = await this.lockOpen(client, studentId);
+      if (timer.status !== 'running') reject('Only a running timer can be paused');
+
+      const result = await client.query(`
+        UPDATE pomodoro_timers
+        SET status = 'paused',
+            paused_at = NOW(),
+            remaining_seconds = GREATEST(0, CEIL(EXTRACT(EPOCH FROM (phase_ends_at - NOW()))))::int,
+            updated_at = NOW()
+        WHERE id = $1
+        RETURNING ${TIMER_COLUMNS}
+      `, [timer.id]);
+
+      const sessions = [];
+      if (timer.phase === 'work') {
+        const log = await new TimeTracker(client).pauseSession(studentId, timer.time_log_id);
+        if (log) sessions.push({ type: 'session.paused', log });
+      }
+
+      return { change: change('pomodoro.paused', result.rows[0], { sessions }) };
+    });
+  }
+
+  /**
+   * Resume a paused phase with the time it had left
+   * @returns {Object} { change } or { error, status }
+   */
+  async resume(studentId) {
+    return this.inTransaction(async client => {
+      const timer = await this.lockOpen(client, studentId);
+      if (timer.status !== 'paused') reject('Only a paused timer can be resumed');
+
+      const result = await client.query(`
+        UPDATE pomodoro_timers
+        SET status = 'running',
+            phase_ends_at = NOW() + make_interval(secs => remaining_seconds),
+            paused_at = NULL,
+            remaining_seconds = NULL,
+            updated_at = NOW()
+        WHERE id = $1
+        RETURNING ${TIMER_COLUMNS}
+      `, [timer.id]);
+
+      const sessions = [];
+      if (timer.phase === 'work') {
+        const log = await new TimeTracker(client).resumeSession(studentId, timer.time_log_id);
+        if (log) sessions.push({ type: 'session.resumed', log });
+      }
+
+      return { change: change('pomodoro.resumed', result.rows[0], { sessions }) };
+    });
+  }
+
+  /**
+   * Start the next work interval, skipping whatever is left of the break
+   * @returns {Object} { change } or { error, status }
+   */
+  async next(studentId) {
+    return this.inTransaction(async client => {
+      const timer = await this.lockOpen(client, studentId);
+      if (timer.phase === 'work') reject('A work interval is already in progress');
+
+      return { change: await this.startWork(client, timer, 'pomodoro.work_started') };
+    });
+  }
+
+  /**
+   * Stop the timer; a work interval in progress is ended and recorded as abandoned
+   * @returns {Object} { change } or { error, status }
+   */
+  async stop(studentId) {
+    return this.inTransaction(async client => {
+      const timer = await this.lockOpen(client, studentId);
+      return { change: await this.finish(client, timer, 'stopped') };
+    });
+  }
+
+  /**
+   * Advance timers whose phase ran out (every student's when studentId is null)
+   * A finished work interval starts a break, a finished break leaves the timer
+   * waiting for the next interval. Also finishes timers whose work session
+   * ended elsewhere, and timers left waiting or paused too long.
+   * @returns {Object[]} Changes, in the same shape the actions return
+   */
+  async advance(studentId = null) {
+    const due = await this.db.query(`
+      SELECT p.id
+      FROM pomodoro_timers p
+      LEFT JOIN time_logs t ON t.id = p.time_log_id
+      WHERE p.status <> 'finished'
+        AND ($1::int IS NULL OR p.student_id = $1)
+        AND ${DUE_SQL} IS NOT NULL
+    `, [studentId]);
+
+    const changes = [];
+    for (const { id } of due.rows) {
+      const advanced = await this.inTransaction(client => this.advanceTimer(client, id));
+      if (advanced) changes.push(advanced);
+    }
+    return changes;
+  }
+
+  // Re-check one timer under lock (a request may have moved it meanwhile) and advance it
+  async advanceTimer(client, timerId) {
+    const locked = await client.query(`
+      SELECT p.*, ${DUE_SQL} AS due
+      FROM pomodoro_timers p
+      LEFT JOIN time_logs t ON t.id = p.time_log_id
+      WHERE p.id = $1 AND p.status <> 'finished'
+      FOR UPDATE OF p
+    `, [timerId]);
+    const timer = locked.rows[0];
+
+    if (!timer?.due) return null;
+    if (timer.due === 'work_done') return this.completeWork(client, timer);
+    if (timer.due === 'break_done') {
+      const result = await client.query(
+        `UPDATE pomodoro_timers SET status = 'waiting', updated_at = NOW() WHERE id = $1 RETURNING ${TIMER_COLUMNS}`,
+        [timer.id]
+      );
+      return change('pomodoro.break_ended', result.rows[0]);
+    }
+    return this.finish(client, timer, timer.due);
+  }
+
+  /**
+   * Cycles recorded for a student
+   * @returns {Object[]} Newest first
+   */
+  async listCycles(studentId, limit = 50) {
+    const result = await this.db.query(`
+      SELECT id, timer_id, cycle_number, time_log_id, status, abandoned_reason,
+             planned_minutes, credited_minutes, started_at, ended_at
+      FROM pomodoro_cycles
+      WHERE student_id = $1
+      ORDER BY ended_at DESC, id DESC
+      LIMIT $2
+    `, [studentId, limit]);
+    return result.rows;
+  }
+
+  /**
+   * Cycle counts for the focus score, the badge and the dashboard
+   * @returns {Object} { completedToday, completedWeek, abandonedWeek } (week = last 7 days)
+   */
+  async cycleSummary(studentId) {
+    const result = await this.db.query(`
+      SELECT
+        COUNT(*) FILTER (WHERE status = 'completed' AND ended_at >= CURRENT_DATE) AS completed_today,
+        COUNT(*) FILTER (WHERE status = 'completed') AS completed_week,
+        COUNT(*) FILTER (WHERE status = 'abandoned') AS abandoned_week
+      FROM pomodoro_cycles
+      WHERE student_id = $1 AND ended_at >= CURRENT_DATE - INTERVAL '7 days'
+    `, [studentId]);
+
+    const row = result.rows[0];
+    return {
+      completedToday: parseInt(row.completed_today),
+      completedWeek: parseInt(row.completed_week),
+      abandonedWeek: parseInt(row.abandoned_week)
+    };
+  }
+
+  /**
+   * API shape of a timer row (null stays null)
+   */
+  describe(timer) {
+    if (!timer) return null;
+
+    let remainingSeconds = 0;
+    if (timer.status === 'paused') remainingSeconds = timer.remaining_seconds;
+    if (timer.status === 'running') remainingSeconds = timer.seconds_left;
+
+    return {
+      id: timer.id,
+      preset: timer.preset,
+      plan: {
+        workMinutes: timer.work_minutes,
+        shortBreakMinutes: timer.short_break_minutes,
+        longBreakMinutes: timer.long_break_minutes,
+        cyclesBeforeLongBreak: timer.cycles_before_long_break
+      },
+      phase: timer.phase,
+      status: timer.status,
+      completedCycles: timer.completed_cycles,
+      phaseStartedAt: timer.phase_started_at,
+      phaseEndsAt: timer.status === 'running' ? timer.phase_ends_at : null,
+      remainingSeconds,
+      timeLogId: timer.phase === 'work' ? timer.time_log_id : null,
+      assignmentTitle: timer.assignment_title,
+      endedAt: timer.ended_at,
+      endedReason: timer.ended_reason
+    };
+  }
+
+  // Open a work session and point the timer at it for a full work interval
+  async startWork(client, timer, type) {
+    const { log, endedSessions } = await new TimeTracker(client).startSession(timer.student_id, {
+      assignmentTitle: timer.assignment_title,
+      assignmentUrl: timer.assignment_url,
+      siteName: timer.site_name
+    });
+
+    // NOW() is the transaction time, the same instant as the session's start
+    const result = await client.query(`
+      UPDATE pomodoro_timers
+      SET phase = 'work',
+          status = 'running',
+          time_log_id = $2,
+          phase_started_at = NOW(),
+          phase_ends_at = NOW() + make_interval(mins => work_minutes),
+          paused_at = NULL,
+          remaining_seconds = NULL,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING ${TIMER_COLUMNS}
+    `, [timer.id, log.id]);
+
+    return change(type, result.rows[0], {
+      sessions: [
+        ...endedSessions.map(ended => ({ type: 'session.ended', log: ended })),
+        { type: 'session.started', log }
+      ]
+    });
+  }
+
+  // Close a work interval that ran its full length and start the break after it
+  async completeWork(client, timer) {
+    // Sessions without heartbeats are credited at most the planned length
+    const [log] = await new TimeTracker(client).endSession(timer.student_id, {
+      timeLogId: timer.time_log_id,
+      clientDurationMinutes: timer.work_minutes,
+      reason: 'pomodoro'
+    });
+
+    const result = await client.query(`
+      UPDATE pomodoro_timers
+      SET completed_cycles = completed_cycles + 1,
+          phase = CASE WHEN (completed_cycles + 1) % cycles_before_long_break = 0 THEN 'long_break' ELSE 'short_break' END,
+          phase_started_at = NOW(),
+          phase_ends_at = NOW() + make_interval(mins => CASE
+            WHEN (completed_cycles + 1) % cycles_before_long_break = 0 THEN long_break_minutes ELSE short_break_minutes END),
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING ${TIMER_COLUMNS}
+    `, [timer.id]);
+    const updated = result.rows[0];
+
+    const cycle = await this.recordCycle(client, updated, updated.completed_cycles, 'completed', log, null);
+    return change('pomodoro.work_completed', updated, {
+      cycle,
+      sessions: log ? [{ type: 'session.ended', log }] : []
+    });
+  }
+
+  // Finish a timer; a work interval still in progress becomes an abandoned cycle
+  // reason: 'stopped', 'expired' or 'session_ended'
+  async finish(client, timer, reason) {
+    const result = await client.query(`
+      UPDATE pomodoro_timers
+      SET status = 'finished', ended_at = NOW(), ended_reason = $2, updated_at = NOW()
+      WHERE id = $1
+      RETURNING ${TIMER_COLUMNS}
+    `, [timer.id, reason]);
+    const finished = result.rows[0];
+
+    if (timer.phase !== 'work') {
+      return change('pomodoro.finished', finished);
+    }
+
+    const [ended] = timer.time_log_id
+      ? await new TimeTracker(client).endSession(timer.student_id, { timeLogId: timer.time_log_id, reason: 'pomodoro_stopped' })
+      : [];
+    const log = ended || (timer.time_log_id
+      ? (await client.query('SELECT * FROM time_logs WHERE id = $1', [timer.time_log_id])).rows[0]
+      : null);
+
+    // A session closed elsewhere keeps its own reason (e.g. 'superseded', 'stale')
+    const abandonedReason = reason === 'session_ended' ? (log?.ended_reason || reason) : reason;
+    const cycle = await this.recordCycle(client, finished, finished.completed_cycles + 1, 'abandoned', log, abandonedReason);
+
+    return change('pomodoro.finished', finished, {
+      cycle,
+      sessions: ended ? [{ type: 'session.ended', log: ended }] : []
+    });
+  }
+
+  async recordCycle(client, timer, cycleNumber, status, log, abandonedReason) {
+    const result = await client.query(`
+      INSERT INTO pomodoro_cycles
+      (timer_id, student_id, cycle_number, time_log_id, status, abandoned_reason, planned_minutes, credited_minutes, started_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, (SELECT session_start FROM time_logs WHERE id = $4))
+      RETURNING *
+    `, [
+      timer.id, timer.student_id, cycleNumber, log?.id || null, status, abandonedReason,
+      timer.work_minutes, log?.duration_minutes || 0
+    ]);
+    return result.rows[0];
+  }
+
+  // Lock the student's open timer for an action
+  async lockOpen(client, studentId) {
+    const result = await client.query(
+      `SELECT * FROM pomodoro_timers WHERE student_id = $1 AND status <> 'finished' FOR UPDATE`,
+      [studentId]
+    );
+    if (result.rows.length === 0) reject('No Pomodoro timer is running', 404);
+    return result.rows[0];
+  }
+
+  async inTransaction(work) {
+    const client = await this.db.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await work(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.rejection) return error.rejection;
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = PomodoroTimer;
+module.exports.POMODORO_PRESETS = POMODORO_PRESETS;
+module.exports.POMODORO_POLICY = POMODORO_POLICY;
@@ -0,0 +1,158 @@
+/**
+ * Session Manager
+ * One session per signed-in device, each with its own rotating refresh token.
+ * A session is a token family: reusing a token that was already rotated
+ * revokes the whole session.
+ */
+
+const crypto = require('crypto');
+const { generateRefreshToken, verifyRefreshToken, hashToken } = require('../auth');
+
+class SessionManager {
+
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Open a new device session
+   * @param {Object} user - Student row (id, email)
+   * @param {Object} meta - { deviceName, userAgent, ipAddress, rememberMe }
+   * @returns {Object} { sessionId, refreshToken }
+   */
+  async createSession(user, meta = {}) {
+    const sessionId = crypto.randomUUID();
+    const rememberMe = !!meta.rememberMe;
+    const refreshToken = generateRefreshToken(user.id, user.email, sessionId, rememberMe);
+
+    await this.db.query(`
+      INSERT INTO auth_sessions
+      (id, student_id, refresh_token_hash, device_name, user_agent, ip_address, persistent, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7,
+              NOW() + CASE WHEN $7 THEN INTERVAL '90 days' ELSE INTERVAL '30 days' END)
+    `, [
+      sessionId,
+      user.id,
+      hashToken(refreshToken),
+      meta.deviceName ? String(meta.deviceName).slice(0, 100) : null,
+      meta.userAgent || null,
+      meta.ipAddress || null,
+      rememberMe
+    ]);
+
+    return { sessionId, refreshToken };
+  }
+
+  /**
+   * Exchange a refresh token for a new one on the same session
+   * @param {string} refreshToken - Token presented by the client
+   * @param {Object} meta - { userAgent, ipAddress }
+   * @returns {Object} { status: 'ok' | 'invalid' | 'reused', studentId, sessionId, refreshToken }
+   */
+  async rotate(refreshToken, meta = {}) {
+    const decoded = verifyRefreshToken(refreshToken);
+    if (!decoded) return { status: 'invalid' };
+
+    // Tokens issued before sessions existed carry no session id
+    if (!decoded.sid) return this.migrateLegacyToken(decoded, refreshToken, meta);
+
+    const session = await this.db.query(
+      'SELECT * FROM auth_sessions WHERE id = $1 AND student_id = $2',
+      [decoded.sid, decoded.userId]
+    );
+    const row = session.rows[0];
+    if (!row || row.revoked_at || new Date(row.expires_at) <= new Date()) {
+      return { status: 'invalid' };
+    }
+
+    const newToken = generateRefreshToken(row.student_id, decoded.email, row.id, row.persistent);
+    const result = await this.db.query(`
+      UPDATE auth_sessions
+      SET refresh_token_hash = $1,
+          last_used_at = NOW(),
+          user_agent = COALESCE($2, user_agent),
+          ip_address = COALESCE($3, ip_address),
+          expires_at = NOW() + CASE WHEN persistent THEN INTERVAL '90 days' ELSE INTERVAL '30 days' END
+      WHERE id = $4
+        AND refresh_token_hash = $5
+        AND revoked_at IS NULL
+      RETURNING id
+    `, [hashToken(newToken), meta.userAgent || null, meta.ipAddress || null, row.id, hashToken(refreshToken)]);
+
+    if (result.rows.length === 0) {
+      // Signature was valid but the token is no longer current: it was
+      // already rotated, so someone is replaying it. Kill the family.
+      await this.revokeSession(row.id, 'token_reuse');
+      console.warn(`[SessionManager] Refresh token reuse on session ${row.id}, session revoked`);
+      return { status: 'reused', studentId: row.student_id, sessionId: row.id };
+    }
+
+    return { status: 'ok', studentId: row.student_id, sessionId: row.id, refreshToken: newToken };
+  }
+
+  /**
+   * Move a pre-session refresh token (students.refresh_token) into a session
+   */
+  async migrateLegacyToken(decoded, refreshToken, meta) {
+    const result = await this.db.query(`
+      UPDATE students SET refresh_token = NULL
+      WHERE id = $1 AND refresh_token = $2
+      RETURNING id, email
+    `, [decoded.userId, refreshToken]);
+
+    if (result.rows.length === 0) return { status: 'invalid' };
+
+    const { sessionId, refreshToken: newToken } = await this.createSession(result.rows[0], meta);
+    return { status: 'ok', studentId: decoded.userId, sessionId, refreshToken: newToken };
+  }
+
+  /**
+   * List a student's live sessions, newest activity first
+   */
+  async listSessions(studentId) {
+    const result = await this.db.query(`
+      SELECT id, device_name, user_agent, ip_address, created_at, last_used_at, expires_at
+      FROM auth_sessions
+      WHERE student_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+      ORDER BY last_used_at DESC
+    `, [studentId]);
+    return result.rows;
+  }
+
+  /**
+   * Revoke one session
+   * @param {string} sessionId - Session to revoke
+   * @param {string} reason - Stored in revoked_reason
+   * @param {number} studentId - When given, only revoke if the session belongs to this student
+   * @returns {boolean} True if a live session was revoked
+   */
+  async revokeSession(sessionId, reason = 'logout', studentId = null) {
+    const result = await this.db.query(`
+      UPDATE auth_sessions
+      SET revoked_at = NOW(), revoked_reason = $2
+      WHERE id = $1
+        AND revoked_at IS NULL
+        AND ($3::int IS NULL OR student_id = $3)
+      RETURNING id
+    `, [sessionId, reason, studentId]);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Revoke every session of a student, optionally keeping one
+   * @returns {number} Number of sessions revoked
+   */
+  async revokeAllSessions(studentId, reason, exceptSessionId = null) {
+    const result = await this.db.query(`
+      UPDATE auth_sessions
+      SET revoked_at = NOW(), revoked_reason = $2
+      WHERE student_id = $1
+        AND revoked_at IS NULL
+        AND ($3::uuid IS NULL OR id <> $3)
+      RETURNING id
+    `, [studentId, reason, exceptSessionId]);
+    return result.rows.length;
+  }
+}
+
+module.exports = SessionManager;
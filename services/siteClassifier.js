@@ -0,0 +1,259 @@
+/**
+ * Site Classifier
+ * Sorts tracked time into categories (lms, writing, research, practice,
+ * distraction) from the free-text site_name and the page URL. Built-in rules
+ * cover common sites; each student can add rules that take precedence
+ * (site_classification_rules). Time no rule matches is 'other'.
+ */
+
+const { isSameOrSubdomain } = require('../academicDomains');
+
+const SITE_CATEGORIES = ['lms', 'writing', 'research', 'practice', 'distraction', 'other'];
+const MATCH_TYPES = ['domain', 'url', 'keyword'];
+const MAX_RULES_PER_STUDENT = 200;  // every rule is checked on each classification
+
+const DEFAULT_RULES = [
+  // Learning management systems
+  ...['instructure.com', 'blackboard.com', 'schoology.com', 'd2l.com', 'brightspace.com', 'moodlecloud.com']
+    .map(pattern => ({ matchType: 'domain', pattern, category: 'lms' })),
+  ...['canvas', 'blackboard', 'moodle', 'brightspace', 'schoology', 'd2l']
+    .map(pattern => ({ matchType: 'keyword', pattern, category: 'lms' })),
+
+  // Writing
+  ...['docs.google.com/document', 'onedrive.live.com/edit'].map(pattern => ({ matchType: 'url', pattern, category: 'writing' })),
+  ...['overleaf.com', 'notion.so', 'grammarly.com'].map(pattern => ({ matchType: 'domain', pattern, category: 'writing' })),
+  ...['google docs', 'microsoft word', 'overleaf', 'notion', 'grammarly']
+    .map(pattern => ({ matchType: 'keyword', pattern, category: 'writing' })),
+
+  // Research
+  ...['scholar.google.com', 'jstor.org', 'pubmed.ncbi.nlm.nih.gov', 'researchgate.net', 'arxiv.org', 'wikipedia.org']
+    .map(pattern => ({ matchType: 'domain', pattern, category: 'research' })),
+  ...['google scholar', 'jstor', 'pubmed', 'researchgate', 'arxiv', 'wikipedia', 'library']
+    .map(pattern => ({ matchType: 'keyword', pattern, category: 'research' })),
+
+  // Practice and self-study
+  ...['quizlet.com', 'khanacademy.org', 'chegg.com', 'coursera.org', 'edx.org', 'leetcode.com', 'brilliant.org']
+    .map(pattern => ({ matchType: 'domain', pattern, category: 'practice' })),
+  ...['quizlet', 'khan academy', 'chegg', 'coursera', 'edx', 'leetcode', 'brilliant']
+    .map(pattern => ({ matchType: 'keyword', pattern, category: 'practice' })),
+
+  // Distractions
+  ...['youtube.com', 'netflix.com', 'reddit.com', 'tiktok.com', 'instagram.com', 'facebook.com', 'twitter.com', 'x.com', 'twitch.tv']
+    .map(pattern => ({ matchType: 'domain', pattern, category: 'distraction' })),
+  ...['youtube', 'netflix', 'reddit', 'tiktok', 'instagram', 'facebook', 'twitter', 'twitch']
+    .map(pattern => ({ matchType: 'keyword', pattern, category: 'distraction' }))
+];
+
+// Windows for categoryBreakdown, as SQL lower bounds on session_start
+const CATEGORY_PERIODS = {
+  today: 'CURRENT_DATE',
+  week: `DATE_TRUNC('week', CURRENT_DATE)`,
+  month: `CURRENT_DATE - INTERVAL '30 days'`,
+  all: null
+};
+
+// Try the most specific rules first: URL fragments, then domains, then
+// keywords; longer patterns before shorter ones of the same type
+const MATCH_ORDER = { url: 0, domain: 1, keyword: 2 };
+function sortRules(rules) {
+  return [...rules].sort((a, b) =>
+    MATCH_ORDER[a.matchType] - MATCH_ORDER[b.matchType] || b.pattern.length - a.pattern.length
+  );
+}
+
+const SORTED_DEFAULT_RULES = sortRules(DEFAULT_RULES);
+
+// Host of a URL, or of a site name that is itself a domain ("canvas.umich.edu")
+function hostOf(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) return null;
+  try {
+    return new URL(text.includes('://') ? text : `https://${text}`).hostname.replace(/^www\./, '') || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Lowercased site name and URL, plus the host either one names
+function normalizeSite({ siteName, url }) {
+  const normalizedName = String(siteName || '').trim().toLowerCase();
+  const normalizedUrl = String(url || '').trim().toLowerCase();
+  return {
+    siteName: normalizedName,
+    url: normalizedUrl,
+    host: hostOf(normalizedUrl) || (normalizedName.includes('.') && !normalizedName.includes(' ') ? hostOf(normalizedName) : null)
+  };
+}
+
+function ruleMatches(rule, { siteName, url, host }) {
+  switch (rule.matchType) {
+    case 'domain':
+      return !!host && isSameOrSubdomain(host, rule.pattern);
+    case 'url':
+      return !!url && url.includes(rule.pattern);
+    case 'keyword':
+      return !!siteName && siteName.includes(rule.pattern);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Category of one site
+ * @param {Object} site - { siteName, url }
+ * @param {Object[]} studentRules - The student's own rules ({ matchType, pattern, category }),
+ *   checked before the built-in rules
+ * @returns {string} One of SITE_CATEGORIES
+ */
+function classifySite({ siteName, url } = {}, studentRules = []) {
+  const site = normalizeSite({ siteName, url });
+  const rules = [...sortRules(studentRules), ...SORTED_DEFAULT_RULES];
+  const match = rules.find(rule => ruleMatches(rule, site));
+  return match ? match.category : 'other';
+}
+
+/**
+ * Whether any built-in rule of a category matches a site, whatever rule would
+ * win in classifySite (e.g. a Canvas page titled "YouTube" is still LMS time)
+ * @param {Object} site - { siteName, url }
+ * @param {string} category - One of SITE_CATEGORIES
+ * @returns {boolean}
+ */
+function matchesCategory({ siteName, url } = {}, category) {
+  const site = normalizeSite({ siteName, url });
+  return DEFAULT_RULES.some(rule => rule.category === category && ruleMatches(rule, site));
+}
+
+class SiteClassifier {
+
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Check a rule before it is stored; patterns are lowercased in place
+   * @returns {string|null} Error message, or null if it is valid
+   */
+  validateRule(rule) {
+    if (!MATCH_TYPES.includes(rule.matchType)) return `matchType must be one of ${MATCH_TYPES.join(', ')}`;
+    if (!SITE_CATEGORIES.includes(rule.category)) return `category must be one of ${SITE_CATEGORIES.join(', ')}`;
+
+    const pattern = String(rule.pattern || '').trim().toLowerCase();
+    if (!pattern || pattern.length > 500) return 'pattern must be 1-500 characters';
+    if (rule.matchType === 'domain' && hostOf(pattern) !== pattern.replace(/^www\./, '')) {
+      return 'pattern must be a domain like example.com';
+    }
+
+    rule.pattern = rule.matchType === 'domain' ? pattern.replace(/^www\./, '') : pattern;
+    return null;
+  }
+
+  /**
+   * A student's own rules, oldest first
+   */
+  async listRules(studentId) {
+    const result = await this.db.query(`
+      SELECT id, match_type, pattern, category, created_at, updated_at
+      FROM site_classification_rules
+      WHERE student_id = $1
+      ORDER BY id
+    `, [studentId]);
+    return result.rows;
+  }
+
+  /**
+   * Add a rule (must have passed validateRule)
+   * Throws the unique violation (23505) if the student already has this pattern.
+   * @returns {Object|null} The new rule, or null if the student has MAX_RULES_PER_STUDENT rules
+   */
+  async createRule(studentId, { matchType, pattern, category }) {
+    const result = await this.db.query(`
+      INSERT INTO site_classification_rules (student_id, match_type, pattern, category)
+      SELECT $1, $2, $3, $4
+      WHERE (SELECT COUNT(*) FROM site_classification_rules WHERE student_id = $1) < $5
+      RETURNING id, match_type, pattern, category, created_at, updated_at
+    `, [studentId, matchType, pattern, category, MAX_RULES_PER_STUDENT]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Replace a rule (must have passed validateRule)
+   * @returns {Object|null} The updated rule, or null if the student has no such rule
+   */
+  async updateRule(studentId, ruleId, { matchType, pattern, category }) {
+    const result = await this.db.query(`
+      UPDATE site_classification_rules
+      SET match_type = $3, pattern = $4, category = $5, updated_at = NOW()
+      WHERE id = $1 AND student_id = $2
+      RETURNING id, match_type, pattern, category, created_at, updated_at
+    `, [ruleId, studentId, matchType, pattern, category]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * @returns {boolean} True if a rule was deleted
+   */
+  async deleteRule(studentId, ruleId) {
+    const result = await this.db.query(
+      'DELETE FROM site_classification_rules WHERE id = $1 AND student_id = $2 RETURNING id',
+      [ruleId, studentId]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Category of one site for a student, including their own rules
+   */
+  async classify(studentId, site) {
+    const rules = await this.listRules(studentId);
+    return classifySite(site, rules.map(rule => ({ matchType: rule.match_type, pattern: rule.pattern, category: rule.category })));
+  }
+
+  /**
+   * Tracked minutes per category, largest first
+   * Sessions are grouped by site in SQL and classified here, so rule changes
+   * apply to past sessions too.
+   * @param {string} period - 'today', 'week', 'month' (last 30 days) or 'all'
+   * @returns {Object[]} [{ category, minutes, share }] (share of the total, 0-1)
+   */
+  async categoryBreakdown(studentId, period = 'all') {
+    if (!(period in CATEGORY_PERIODS)) throw new Error(`Unknown category period: ${period}`);
+    const since = CATEGORY_PERIODS[period];
+
+    const [sites, rules] = await Promise.all([
+      this.db.query(`
+        SELECT tl.site_name, COALESCE(tl.url, a.canvas_url) AS url, SUM(tl.duration_minutes) AS minutes
+        FROM time_logs tl
+        LEFT JOIN assignments a ON a.id = tl.assignment_id
+        WHERE tl.student_id = $1
+          AND tl.duration_minutes > 0
+          ${since ? `AND tl.session_start >= ${since}` : ''}
+        GROUP BY tl.site_name, COALESCE(tl.url, a.canvas_url)
+      `, [studentId]),
+      this.listRules(studentId)
+    ]);
+
+    const studentRules = rules.map(rule => ({ matchType: rule.match_type, pattern: rule.pattern, category: rule.category }));
+    const totals = {};
+    for (const row of sites.rows) {
+      const category = classifySite({ siteName: row.site_name, url: row.url }, studentRules);
+      totals[category] = (totals[category] || 0) + parseFloat(row.minutes);
+    }
+
+    const totalMinutes = Object.values(totals).reduce((sum, minutes) => sum + minutes, 0);
+    return Object.entries(totals)
+      .map(([category, minutes]) => ({
+        category,
+        minutes,
+        share: totalMinutes > 0 ? Math.round((minutes / totalMinutes) * 1000) / 1000 : 0
+      }))
+      .sort((a, b) => b.minutes - a.minutes);
+  }
+}
+
+module.exports = SiteClassifier;
+module.exports.SITE_CATEGORIES = SITE_CATEGORIES;
+module.exports.MAX_RULES_PER_STUDENT = MAX_RULES_PER_STUDENT;
+module.exports.DEFAULT_RULES = DEFAULT_RULES;
+module.exports.classifySite = classifySite;
+module.exports.matchesCategory = matchesCategory;
@@ -0,0 +1,261 @@
+/**
+ * Student Events
+ * Server-Sent Events stream per student (GET /student/:id/stream): session
+ * started/paused/resumed/ended, live elapsed time, daily-goal progress, focus
+ * glow state and newly earned badges. Subscribers live in this process's
+ * memory, so every instance only reaches the clients connected to it.
+ */
+
+const crypto = require('crypto');
+const TimeTracker = require('./timeTracker');
+
+const STREAM_POLICY = {
+  tickSeconds: 15,              // live elapsed time / keep-alive interval
+  maxConnectionsPerStudent: 5,  // dashboard tabs + extension
+  ticketTtlSeconds: 60,         // EventSource can't send headers; tickets stand in for the token
+  retryMs: 5000                 // reconnect delay suggested to the browser
+};
+
+class StudentEvents {
+
+  constructor(db) {
+    this.db = db;
+    this.timeTracker = new TimeTracker(db);
+    this.subscribers = new Map();   // studentId -> Set of responses
+    this.tickets = new Map();       // ticket hash -> { studentId, expiresAt }
+    this.goalReachedOn = new Map(); // studentId -> date the goal.reached event was sent
+    this.nextEventId = 1;
+  }
+
+  /**
+   * Issue a single-use ticket for opening a stream with ?ticket=
+   * @returns {Object} { ticket, expiresIn } (expiresIn in seconds)
+   */
+  createTicket(studentId) {
+    const now = Date.now();
+    for (const [hash, entry] of this.tickets) {
+      if (entry.expiresAt <= now) this.tickets.delete(hash);
+    }
+
+    const ticket = crypto.randomBytes(24).toString('hex');
+    this.tickets.set(this.hashTicket(ticket), {
+      studentId,
+      expiresAt: now + STREAM_POLICY.ticketTtlSeconds * 1000
+    });
+    return { ticket, expiresIn: STREAM_POLICY.ticketTtlSeconds };
+  }
+
+  /**
+   * Use up a ticket
+   * @returns {number|null} The student it was issued to, or null if invalid or expired
+   */
+  redeemTicket(ticket) {
+    const hash = this.hashTicket(String(ticket || ''));
+    const entry = this.tickets.get(hash);
+    this.tickets.delete(hash);
+
+    if (!entry || entry.expiresAt <= Date.now()) return null;
+    return entry.studentId;
+  }
+
+  hashTicket(ticket) {
+    return crypto.createHash('sha256').update(ticket).digest('hex');
+  }
+
+  hasSubscribers(studentId) {
+    return (this.subscribers.get(Number(studentId))?.size || 0) > 0;
+  }
+
+  /**
+   * Turn a response into an event stream and send the current state
+   * @returns {boolean} False if the student already has too many open streams
+   */
+  async subscribe(studentId, req, res) {
+    const id = Number(studentId);
+    const streams = this.subscribers.get(id) || new Set();
+
+    if (streams.size >= STREAM_POLICY.maxConnectionsPerStudent) {
+      return false;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // don't let proxies buffer the stream
+    });
+    res.write(`retry: ${STREAM_POLICY.retryMs}\n\n`);
+
+    streams.add(res);
+    this.subscribers.set(id, streams);
+
+    req.on('close', () => {
+      streams.delete(res);
+      if (streams.size === 0) this.subscribers.delete(id);
+    });
+
+    const state = await this.snapshot([id]);
+    if (state.has(id)) this.send(res, 'state', state.get(id));
+    return true;
+  }
+
+  send(res, type, data) {
+    res.write(`id: ${this.nextEventId++}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Send an event to every open stream of a student
+   */
+  publish(studentId, type, data) {
+    const streams = this.subscribers.get(Number(studentId));
+    if (!streams) return;
+    streams.forEach(res => this.send(res, type, data));
+  }
+
+  /**
+   * Announce a session change, followed by the student's new state
+   * Never throws: a failed push must not fail the request that caused it.
+   * @param {string} type - 'session.started', 'session.paused', 'session.resumed' or 'session.ended'
+   */
+  async sessionChanged(studentId, type, log) {
+    if (!this.hasSubscribers(studentId)) return;
+
+    try {
+      this.publish(studentId, type, {
+        session: {
+          id: log.id,
+          assignmentId: log.assignment_id,
+          assignmentTitle: log.assignment_title,
+          siteName: log.site_name,
+          startedAt: log.session_start,
+          endedAt: log.session_end,
+          endedReason: log.ended_reason || null,
+          durationMinutes: log.duration_minutes,
+          focusRatio: log.focus_ratio !== null && log.focus_ratio !== undefined ? parseFloat(log.focus_ratio) : null
+        }
+      });
+      await this.refresh(studentId);
+    } catch (error) {
+      console.error('[StudentEvents] session event error:', error);
+    }
+  }
+
+  /**
+   * Push a student's current state (after anything that changes today's time or settings)
+   * Never throws.
+   */
+  async refresh(studentId) {
+    const id = Number(studentId);
+    if (!this.hasSubscribers(id)) return;
+
+    try {
+      const state = await this.snapshot([id]);
+      if (!state.has(id)) return;
+      this.publish(id, 'state', state.get(id));
+      this.checkGoalReached(id, state.get(id));
+    } catch (error) {
+      console.error('[StudentEvents] refresh error:', error);
+    }
+  }
+
+  /**
+   * Announce badges that were just awarded
+   */
+  badgesEarned(studentId, badges) {
+    badges.forEach(badge => this.publish(studentId, 'badge.earned', {
+      badge: {
+        type: badge.badge_type,
+        name: badge.badge_name,
+        message: badge.badge_message,
+        icon: badge.icon,
+        earnedAt: badge.earned_at
+      }
+    }));
+  }
+
+  /**
+   * Live elapsed time for students with a running session, a keep-alive
+   * comment for everyone else. Run on an interval.
+   */
+  async tick() {
+    const ids = [...this.subscribers.keys()];
+    if (ids.length === 0) return;
+
+    const states = await this.snapshot(ids);
+    for (const id of ids) {
+      const state = states.get(id);
+      if (state && state.sessions.length > 0) {
+        this.publish(id, 'tick', state);
+        this.checkGoalReached(id, state);
+      } else {
+        this.subscribers.get(id)?.forEach(res => res.write(': keep-alive\n\n'));
+      }
+    }
+  }
+
+  // One goal.reached per student per day, the first time progress hits 100%
+  checkGoalReached(studentId, state) {
+    if (!state || state.goal.progress < 1 || this.goalReachedOn.get(studentId) === state.goal.date) return;
+    this.goalReachedOn.set(studentId, state.goal.date);
+    this.publish(studentId, 'goal.reached', { goal: state.goal });
+  }
+
+  /**
+   * Running sessions, daily-goal progress and focus glow state
+   * Today's minutes include the live time of running sessions.
+   * @returns {Map} studentId -> { sessions, goal, focusGlow }
+   */
+  async snapshot(studentIds) {
+    const [students, live] = await Promise.all([
+      this.db.query(`
+        SELECT s.id,
+               COALESCE(s.daily_goal_hours, 3.0) AS daily_goal_hours,
+               COALESCE(s.focus_glow_enabled, true) AS focus_glow_enabled,
+               TO_CHAR(CURRENT_DATE, 'YYYY-MM-DD') AS today,
+               COALESCE(SUM(tl.duration_minutes), 0) AS closed_minutes
+        FROM students s
+        LEFT JOIN time_logs tl ON tl.student_id = s.id
+          AND tl.is_active = false
+          AND DATE(tl.session_start) = CURRENT_DATE
+        WHERE s.id = ANY($1)
+        GROUP BY s.id
+      `, [studentIds]),
+      this.timeTracker.liveSessions(studentIds)
+    ]);
+
+    const states = new Map();
+    for (const student of students.rows) {
+      const sessions = live.filter(log => log.student_id === student.id);
+      const goalMinutes = Math.round(parseFloat(student.daily_goal_hours) * 60);
+      const todayMinutes = parseFloat(student.closed_minutes) +
+        sessions.reduce((sum, log) => sum + log.elapsed_seconds, 0) / 60;
+
+      states.set(student.id, {
+        sessions: sessions.map(log => ({
+          id: log.id,
+          assignmentId: log.assignment_id,
+          assignmentTitle: log.assignment_title,
+          siteName: log.site_name,
+          startedAt: log.session_start,
+          isPaused: log.is_paused,
+          elapsedSeconds: log.elapsed_seconds
+        })),
+        goal: {
+          date: student.today,
+          goalMinutes,
+          todayMinutes: Math.round(todayMinutes),
+          progress: goalMinutes > 0 ? Math.round((todayMinutes / goalMinutes) * 100) / 100 : 0
+        },
+        focusGlow: {
+          enabled: student.focus_glow_enabled,
+          // The glow is on while a session is being tracked
+          active: student.focus_glow_enabled && sessions.some(log => !log.is_paused)
+        }
+      });
+    }
+    return states;
+  }
+}
+
+module.exports = StudentEvents;
+module.exports.STREAM_POLICY = STREAM_POLICY;
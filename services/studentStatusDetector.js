@@ -4,6 +4,8 @@
  * Zero friction - runs entirely in background
  */
 
+const { matchesCategory } = require('./siteClassifier');
+
 const ACADEMIC_KEYWORDS = [
   'essay', 'assignment', 'homework', 'exam', 'quiz', 'midterm', 'final',
   'chapter', 'reading', 'lab report', 'problem set', 'thesis', 'dissertation',
@@ -18,11 +20,6 @@ const WORK_KEYWORDS = [
   'sales', 'revenue', 'forecast', 'pipeline', 'roi', 'kpi', 'metrics'
 ];
 
-const LMS_DOMAINS = [
-  'instructure.com', 'blackboard.com', 'moodle', 'brightspace',
-  'schoology.com', 'canvas', 'd2l.com'
-];
-
 class StudentStatusDetector {
 
   constructor(db) {
@@ -103,8 +100,8 @@ class StudentStatusDetector {
 
     const hasLMS = logs.some(log => {
       if (new Date(log.created_at) < sixtyDaysAgo) return false;
-      const site = (log.site_name || '').toLowerCase();
-      return LMS_DOMAINS.some(domain => site.includes(domain));
+      // Built-in rules only: a student's own overrides shouldn't change their status
+      return matchesCategory({ siteName: log.site_name, url: log.url }, 'lms');
     });
 
     return !hasLMS; // Returns true if NO lms activity
@@ -0,0 +1,349 @@
+/**
+ * Time Log History
+ * Listing and correcting a student's past sessions: edit, split, merge and
+ * delete. Each change runs in a transaction and stores the original row in
+ * time_log_edits; changed rows get is_edited = true.
+ * Changes that can't be applied resolve to { error, status } (an HTTP status).
+ */
+
+const TimeTracker = require('./timeTracker');
+
+const EDIT_POLICY = {
+  maxPageSize: 100,
+  maxSessionHours: 16
+};
+
+// Columns copied into time_log_edits.original
+const SNAPSHOT_COLUMNS = [
+  'id', 'assignment_id', 'session_start', 'session_end', 'duration_minutes', 'active_seconds',
+  'activity_type', 'site_name', 'assignment_title', 'was_focused', 'focus_ratio', 'distracted_seconds',
+  'tab_switches', 'is_edited'
+];
+
+// Abort the current change; caught by inTransaction and turned into { error, status }
+function reject(message, status = 400) {
+  const error = new Error(message);
+  error.rejection = { error: message, status };
+  throw error;
+}
+
+function snapshot(row) {
+  const original = {};
+  SNAPSHOT_COLUMNS.forEach(column => { original[column] = row[column] ?? null; });
+  return original;
+}
+
+class TimeLogHistory {
+
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * A page of a student's sessions, newest first
+   * @param {Object} options - { page, limit, from, to }
+   * @returns {Object} { logs, total, page, limit }
+   */
+  async listLogs(studentId, { page = 1, limit = 25, from, to } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit) || 25, 1), EDIT_POLICY.maxPageSize);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+    const result = await this.db.query(`
+      SELECT tl.*, a.title AS assignment_name, COUNT(*) OVER () AS total_count
+      FROM time_logs tl
+      LEFT JOIN assignments a ON a.id = tl.assignment_id
+      WHERE tl.student_id = $1
+        AND ($2::timestamptz IS NULL OR tl.session_start >= $2)
+        AND ($3::timestamptz IS NULL OR tl.session_start < $3)
+      ORDER BY tl.session_start DESC, tl.id DESC
+      LIMIT $4 OFFSET $5
+    `, [studentId, from || null, to || null, pageSize, (pageNumber - 1) * pageSize]);
+
+    return {
+      logs: result.rows.map(({ total_count, ...row }) => row),
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0,
+      page: pageNumber,
+      limit: pageSize
+    };
+  }
+
+  /**
+   * Edit history of one session, newest first
+   */
+  async listEdits(studentId, timeLogId) {
+    const result = await this.db.query(`
+      SELECT id, time_log_id, action, original, changes, related_time_log_ids, created_at
+      FROM time_log_edits
+      WHERE student_id = $1 AND (time_log_id = $2 OR $2 = ANY(related_time_log_ids))
+      ORDER BY created_at DESC, id DESC
+    `, [studentId, timeLogId]);
+    return result.rows;
+  }
+
+  /**
+   * Change start/end and/or the assignment of a finished session
+   * @param {Object} changes - { startTime, endTime, assignmentId } (all optional;
+   *   assignmentId null unassigns the session)
+   * @returns {Object} { log } or { error, status }
+   */
+  async editLog(studentId, timeLogId, changes) {
+    return this.inTransaction(async client => {
+      const log = await this.loadEditable(client, studentId, timeLogId);
+
+      const start = changes.startTime !== undefined ? this.parseTime(changes.startTime, 'startTime') : new Date(log.session_start);
+      const end = changes.endTime !== undefined ? this.parseTime(changes.endTime, 'endTime') : new Date(log.session_end);
+      this.checkRange(start, end);
+      await this.checkNoOverlap(client, studentId, start, end, [log.id]);
+
+      let assignmentId = log.assignment_id;
+      if (changes.assignmentId !== undefined) {
+        assignmentId = changes.assignmentId === null ? null : await this.checkAssignment(client, studentId, changes.assignmentId);
+      }
+
+      const rangeChanged = start.getTime() !== new Date(log.session_start).getTime() ||
+        end.getTime() !== new Date(log.session_end).getTime();
+
+      // A new range is taken at face value: the student is telling us how long they studied
+      const result = await client.query(`
+        UPDATE time_logs
+        SET session_start = $2::timestamptz,
+            session_end = $3::timestamptz,
+            duration_minutes = CASE WHEN $5 THEN ROUND(EXTRACT(EPOCH FROM ($3::timestamptz - $2::timestamptz)) / 60.0) ELSE duration_minutes END,
+            active_seconds = CASE WHEN $5 THEN LEAST(active_seconds, ROUND(EXTRACT(EPOCH FROM ($3::timestamptz - $2::timestamptz)))::int) ELSE active_seconds END,
+            assignment_id = $4,
+            is_edited = true
+        WHERE id = $1
+        RETURNING *
+      `, [log.id, start.toISOString(), end.toISOString(), assignmentId, rangeChanged]);
+
+      await this.recordEdit(client, studentId, log, 'edit', {
+        startTime: start.toISOString(),
+        endTime: end.toISOString(),
+        assignmentId
+      });
+
+      return { log: result.rows[0] };
+    });
+  }
+
+  /**
+   * Split a finished session in two at splitAt
+   * Tracked minutes and idle time are shared in proportion to each part's length.
+   * @returns {Object} { logs: [first part, second part] } or { error, status }
+   */
+  async splitLog(studentId, timeLogId, splitAt) {
+    return this.inTransaction(async client => {
+      const log = await this.loadEditable(client, studentId, timeLogId);
+      const at = this.parseTime(splitAt, 'splitAt');
+      const start = new Date(log.session_start);
+      const end = new Date(log.session_end);
+
+      if (at <= start || at >= end) {
+        reject('splitAt must be between the start and end of the session');
+      }
+
+      const share = (at - start) / (end - start);
+      const firstMinutes = Math.round((log.duration_minutes || 0) * share);
+      const firstSeconds = Math.round((log.active_seconds || 0) * share);
+      const firstIdleSeconds = Math.round((log.idle_seconds || 0) * share);
+
+      await client.query(`
+        UPDATE time_logs
+        SET session_end = $2::timestamptz, duration_minutes = $3, active_seconds = $4, idle_seconds = $5, is_edited = true
+        WHERE id = $1
+      `, [log.id, at.toISOString(), firstMinutes, firstSeconds, firstIdleSeconds]);
+
+      // last_heartbeat_at is copied so refreshFocus measures the second part from heartbeats too
+      const second = await client.query(`
+        INSERT INTO time_logs
+        (student_id, assignment_id, session_start, session_end, duration_minutes, active_seconds, idle_seconds,
+         last_heartbeat_at, was_focused, focus_ratio, activity_type, url, is_active, site_name, assignment_title,
+         ended_reason, is_edited)
+        VALUES ($1, $2, $3::timestamptz, $4, $5, $6, $7, $8, $9, $10, $11, $12, false, $13, $14, $15, true)
+        RETURNING *
+      `, [
+        studentId, log.assignment_id, at.toISOString(), log.session_end,
+        Math.max((log.duration_minutes || 0) - firstMinutes, 0),
+        Math.max((log.active_seconds || 0) - firstSeconds, 0),
+        Math.max((log.idle_seconds || 0) - firstIdleSeconds, 0),
+        log.last_heartbeat_at, log.was_focused, log.focus_ratio, log.activity_type, log.url, log.site_name,
+        log.assignment_title, log.ended_reason
+      ]);
+
+      // Distraction events follow the part they happened in; each part's focus ratio is recomputed
+      await client.query(
+        'UPDATE time_log_distractions SET time_log_id = $2 WHERE time_log_id = $1 AND started_at >= $3::timestamptz',
+        [log.id, second.rows[0].id, at.toISOString()]
+      );
+
+      await this.recordEdit(client, studentId, log, 'split', { splitAt: at.toISOString() }, [second.rows[0].id]);
+
+      const parts = await new TimeTracker(client).refreshFocus([log.id, second.rows[0].id]);
+      return { logs: parts };
+    });
+  }
+
+  /**
+   * Merge consecutive finished sessions into the earliest one
+   * Sessions must be adjacent: no other session of the student lies between them.
+   * Tracked minutes are added up; the gaps between sessions don't count.
+   * @returns {Object} { log, mergedIds } or { error, status }
+   */
+  async mergeLogs(studentId, timeLogIds) {
+    const ids = [...new Set(timeLogIds.map(id => parseInt(id)))];
+    if (ids.length < 2 || ids.some(id => !Number.isInteger(id))) {
+      return { error: 'timeLogIds must list at least two sessions', status: 400 };
+    }
+
+    return this.inTransaction(async client => {
+      const logs = [];
+      for (const id of ids) {
+        logs.push(await this.loadEditable(client, studentId, id));
+      }
+      logs.sort((a, b) => new Date(a.session_start) - new Date(b.session_start));
+
+      const [keep, ...rest] = logs;
+      const start = new Date(keep.session_start);
+      const end = new Date(Math.max(...logs.map(log => new Date(log.session_end).getTime())));
+      await this.checkNoOverlap(client, studentId, start, end, ids, 'Only adjacent sessions can be merged');
+
+      // The focus ratio is recomputed from the combined totals and events below
+      const heartbeats = logs.map(log => log.last_heartbeat_at).filter(Boolean).map(at => new Date(at));
+      await client.query(`
+        UPDATE time_logs
+        SET session_end = $2::timestamptz,
+            duration_minutes = $3,
+            active_seconds = $4,
+            idle_seconds = $5,
+            last_heartbeat_at = COALESCE($6::timestamptz, last_heartbeat_at),
+            is_edited = true
+        WHERE id = $1
+      `, [
+        keep.id,
+        end.toISOString(),
+        logs.reduce((sum, log) => sum + (log.duration_minutes || 0), 0),
+        logs.reduce((sum, log) => sum + (log.active_seconds || 0), 0),
+        logs.reduce((sum, log) => sum + (log.idle_seconds || 0), 0),
+        heartbeats.length > 0 ? new Date(Math.max(...heartbeats)).toISOString() : null
+      ]);
+
+      await client.query(
+        'UPDATE time_log_distractions SET time_log_id = $1 WHERE time_log_id = ANY($2)',
+        [keep.id, rest.map(log => log.id)]
+      );
+      const [merged] = await new TimeTracker(client).refreshFocus([keep.id]);
+
+      for (const log of rest) {
+        await this.recordEdit(client, studentId, log, 'merge', { mergedInto: keep.id }, [keep.id]);
+        await client.query('DELETE FROM time_logs WHERE id = $1', [log.id]);
+      }
+      await this.recordEdit(client, studentId, keep, 'merge', { merged: rest.map(log => log.id) }, rest.map(log => log.id));
+
+      return { log: merged, mergedIds: rest.map(log => log.id) };
+    });
+  }
+
+  /**
+   * Delete a finished session (its original values stay in time_log_edits)
+   * @returns {Object} { log } (the deleted row) or { error, status }
+   */
+  async deleteLog(studentId, timeLogId) {
+    return this.inTransaction(async client => {
+      const log = await this.loadEditable(client, studentId, timeLogId);
+      await this.recordEdit(client, studentId, log, 'delete');
+      await client.query('DELETE FROM time_logs WHERE id = $1', [log.id]);
+      return { log };
+    });
+  }
+
+  // ---- helpers ----
+
+  async inTransaction(work) {
+    const client = await this.db.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await work(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.rejection) return error.rejection;
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Lock a session for editing; only the owner's finished sessions qualify
+  async loadEditable(client, studentId, timeLogId) {
+    const result = await client.query(
+      'SELECT * FROM time_logs WHERE id = $1 AND student_id = $2 FOR UPDATE',
+      [timeLogId, studentId]
+    );
+    const log = result.rows[0];
+
+    if (!log) {
+      reject('Time log not found', 404);
+    }
+    if (log.is_active || !log.session_end) {
+      reject('End the session before editing it', 409);
+    }
+    return log;
+  }
+
+  parseTime(value, field) {
+    const date = new Date(value);
+    if (!value || isNaN(date)) {
+      reject(`${field} must be a valid timestamp`);
+    }
+    return date;
+  }
+
+  checkRange(start, end) {
+    if (end <= start) {
+      reject('endTime must be after startTime');
+    }
+    if (end - start > EDIT_POLICY.maxSessionHours * 60 * 60 * 1000) {
+      reject(`Sessions can't be longer than ${EDIT_POLICY.maxSessionHours} hours`);
+    }
+    if (end.getTime() > Date.now()) {
+      reject('Sessions can\'t end in the future');
+    }
+  }
+
+  async checkNoOverlap(client, studentId, start, end, excludeIds, message = 'Overlaps with another session') {
+    const overlap = await client.query(`
+      SELECT id FROM time_logs
+      WHERE student_id = $1
+        AND id <> ALL($4)
+        AND session_start < $3::timestamptz
+        AND COALESCE(session_end, NOW()) > $2::timestamptz
+      LIMIT 1
+    `, [studentId, start.toISOString(), end.toISOString(), excludeIds]);
+
+    if (overlap.rows.length > 0) {
+      reject(message, 409);
+    }
+  }
+
+  async checkAssignment(client, studentId, assignmentId) {
+    const result = await client.query(
+      'SELECT id FROM assignments WHERE id = $1 AND student_id = $2',
+      [parseInt(assignmentId) || 0, studentId]
+    );
+    if (result.rows.length === 0) {
+      reject('Assignment not found', 404);
+    }
+    return result.rows[0].id;
+  }
+
+  async recordEdit(client, studentId, log, action, changes = {}, relatedIds = []) {
+    await client.query(`
+      INSERT INTO time_log_edits (student_id, time_log_id, action, original, changes, related_time_log_ids)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [studentId, log.id, action, JSON.stringify(snapshot(log)), JSON.stringify(changes), relatedIds]);
+  }
+}
+
+module.exports = TimeLogHistory;
+module.exports.EDIT_POLICY = EDIT_POLICY;
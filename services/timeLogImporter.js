@@ -0,0 +1,646 @@
+/**
+ * Time Log Importer
+ * Brings in study history from a spreadsheet (CSV with a column mapping) or
+ * from Toggl / Clockify JSON exports. Rows are checked against the student's
+ * existing time_logs (and each other) before anything is written, so a dry
+ * run shows exactly what an import would do. Each import is a batch
+ * (time_log_imports) that can be rolled back as a whole.
+ */
+
+const { SYNC_POLICY } = require('./timeTracker');
+
+const IMPORT_POLICY = {
+  maxBodySize: '5mb',
+  maxRows: 5000,
+  previewRows: 50,          // rows echoed back in the response
+  maxSessionHours: SYNC_POLICY.maxSessionHours,
+  duplicateToleranceSeconds: 60
+};
+
+const IMPORT_FORMATS = ['csv', 'toggl', 'clockify'];
+
+// Column mappings for CSV exports, tried in order when no mapping is given.
+// A mapping needs a start (start, or startDate + startTime) and an end (end,
+// endDate/endTime, or duration). Header names are matched case-insensitively.
+const CSV_PRESETS = {
+  toggl: {
+    startDate: 'Start date', startTime: 'Start time', endDate: 'End date', endTime: 'End time',
+    duration: 'Duration', title: 'Description', project: 'Project'
+  },
+  clockify: {
+    startDate: 'Start Date', startTime: 'Start Time', endDate: 'End Date', endTime: 'End Time',
+    duration: 'Duration (h)', title: 'Description', project: 'Project'
+  },
+  generic: {
+    start: 'start', end: 'end', duration: 'duration', title: 'description', project: 'project'
+  }
+};
+
+const MAPPING_FIELDS = ['start', 'startDate', 'startTime', 'end', 'endDate', 'endTime', 'duration', 'title', 'project'];
+
+const ISO_DATETIME = /^(\d{4}-\d{2}-\d{2})[T ](\d{1,2}:\d{2}(?::\d{2})?)(?:\.\d+)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+
+/**
+ * Parse CSV text into rows of strings (RFC 4180: quoted fields, "" escapes,
+ * newlines inside quotes, CRLF)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// "2024-01-15", "01/15/2024" (or 15/01/2024 with dateFormat DD/MM/YYYY), "15.01.2024"
+function normalizeDate(value, dateFormat) {
+  const text = String(value || '').trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) return formatDate(match[1], match[2], match[3]);
+
+  match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (match) {
+    return dateFormat === 'DD/MM/YYYY'
+      ? formatDate(match[3], match[2], match[1])
+      : formatDate(match[3], match[1], match[2]);
+  }
+
+  match = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/);
+  if (match) return formatDate(match[3], match[2], match[1]);
+
+  return null;
+}
+
+function formatDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== Number(day)) return null;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// "09:30", "09:30:15", "9:30 AM"
+function normalizeTime(value) {
+  const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp][Mm])?$/);
+  if (!match) return null;
+
+  let hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  const seconds = parseInt(match[3] || '0');
+  const meridiem = match[4]?.toLowerCase();
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59 || seconds > 59) return null;
+
+  return [hours, minutes, seconds].map(part => String(part).padStart(2, '0')).join(':');
+}
+
+// "Z", "+05:30", "-0800"; Postgres accepts offsets up to 15:59 either way
+function normalizeOffset(value) {
+  if (value.toUpperCase() === 'Z') return 'Z';
+  const match = value.match(/^([+-])(\d{2}):?(\d{2})$/);
+  if (!match || parseInt(match[2]) > 15 || parseInt(match[3]) > 59) return null;
+  return `${match[1]}${match[2]}:${match[3]}`;
+}
+
+/**
+ * Normalize a timestamp to "YYYY-MM-DDTHH:MM:SS", keeping a UTC offset if it
+ * has one. Timestamps without an offset are read in the student's time zone.
+ * @returns {string|null}
+ */
+function normalizeTimestamp(date, time, dateFormat) {
+  if (time === undefined) {
+    const text = String(date || '').trim();
+    const iso = text.match(ISO_DATETIME);
+    if (iso) {
+      const normalizedDate = normalizeDate(iso[1]);
+      const normalizedTime = normalizeTime(iso[2]);
+      const offset = iso[3] ? normalizeOffset(iso[3]) : '';
+      return normalizedDate && normalizedTime && offset !== null ? `${normalizedDate}T${normalizedTime}${offset}` : null;
+    }
+    // "01/15/2024 9:30 AM"
+    const space = text.indexOf(' ');
+    if (space === -1) return null;
+    return normalizeTimestamp(text.slice(0, space), text.slice(space + 1), dateFormat);
+  }
+
+  const normalizedDate = normalizeDate(date, dateFormat);
+  const normalizedTime = normalizeTime(time);
+  return normalizedDate && normalizedTime ? `${normalizedDate}T${normalizedTime}` : null;
+}
+
+// "1:30:00" or "01:30" (h:mm[:ss]) or decimal hours ("1.5")
+function parseCsvDuration(value) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+
+  const clock = text.match(/^(\d+):(\d{2})(?::(\d{2}))?$/);
+  if (clock) return parseInt(clock[1]) * 3600 + parseInt(clock[2]) * 60 + parseInt(clock[3] || '0');
+
+  const hours = parseFloat(text.replace(',', '.'));
+  return /^\d+([.,]\d+)?$/.test(text) ? Math.round(hours * 3600) : null;
+}
+
+// ISO 8601 durations as used by Clockify ("PT1H30M15S")
+function parseIsoDuration(value) {
+  const match = String(value || '').match(/^PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?$/);
+  if (!match) return null;
+  return parseInt(match[1] || '0') * 3600 + parseInt(match[2] || '0') * 60 + Math.round(parseFloat(match[3] || '0'));
+}
+
+// Durations are whole seconds, no longer than the longest session accepted
+// (larger values would not fit the check query and fail the whole file)
+// Returns the rounded duration, or { error }
+function checkDuration(seconds) {
+  const rounded = Math.round(seconds);
+  if (rounded < 0 || rounded > IMPORT_POLICY.maxSessionHours * 60 * 60) {
+    return { error: `Duration must be between 0 and ${IMPORT_POLICY.maxSessionHours} hours` };
+  }
+  return rounded;
+}
+
+function cleanText(value, maxLength) {
+  const text = value === undefined || value === null ? '' : String(value).trim();
+  return text ? text.slice(0, maxLength) : null;
+}
+
+class TimeLogImporter {
+
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Turn an upload into normalized entries
+   * @param {Object} upload - { format, data, mapping, dateFormat }
+   *   data is CSV text for 'csv' and the parsed JSON export for 'toggl' / 'clockify'
+   * @returns {Object} { entries, mapping } or { error } if the upload can't be read at all.
+   *   Each entry is { row, start, end, durationSeconds, title, project } or { row, error }
+   */
+  parseUpload({ format, data, mapping, dateFormat }) {
+    if (!IMPORT_FORMATS.includes(format)) {
+      return { error: `format must be one of ${IMPORT_FORMATS.join(', ')}` };
+    }
+
+    if (format === 'csv') return this.parseCsvUpload(data, mapping, dateFormat);
+
+    const items = format === 'toggl'
+      ? this.togglItems(data)
+      : (Array.isArray(data) ? data : data?.timeentries);
+
+    if (!Array.isArray(items)) {
+      return { error: `data must be a ${format} JSON export (an array of time entries)` };
+    }
+    if (items.length > IMPORT_POLICY.maxRows) {
+      return { error: `At most ${IMPORT_POLICY.maxRows} rows per import` };
+    }
+
+    const entries = items.map((item, index) => (format === 'toggl'
+      ? this.togglEntry(item, index + 1)
+      : this.clockifyEntry(item, index + 1)));
+    return { entries, mapping: null };
+  }
+
+  parseCsvUpload(text, mapping, dateFormat) {
+    if (typeof text !== 'string' || !text.trim()) {
+      return { error: 'data must be the CSV file contents' };
+    }
+
+    const [header, ...rows] = parseCsv(text);
+    if (!header || rows.length === 0) {
+      return { error: 'The CSV needs a header row and at least one data row' };
+    }
+    if (rows.length > IMPORT_POLICY.maxRows) {
+      return { error: `At most ${IMPORT_POLICY.maxRows} rows per import` };
+    }
+
+    const columns = header.map(name => name.trim().toLowerCase());
+    const resolved = this.resolveMapping(columns, mapping);
+    if (resolved.error) return resolved;
+
+    const value = (cells, field) => (resolved.indexes[field] !== undefined ? cells[resolved.indexes[field]] : undefined);
+
+    const entries = rows.map((cells, index) => {
+      const row = index + 2; // 1-based, after the header
+      const startDate = value(cells, 'startDate');
+      const start = value(cells, 'start') !== undefined
+        ? normalizeTimestamp(value(cells, 'start'), undefined, dateFormat)
+        : normalizeTimestamp(startDate, value(cells, 'startTime'), dateFormat);
+
+      if (!start) return { row, error: 'Start date/time not recognized' };
+
+      let end = null;
+      if (value(cells, 'end') !== undefined && String(value(cells, 'end')).trim()) {
+        end = normalizeTimestamp(value(cells, 'end'), undefined, dateFormat);
+      } else if (value(cells, 'endTime') !== undefined && String(value(cells, 'endTime')).trim()) {
+        end = normalizeTimestamp(value(cells, 'endDate') || startDate, value(cells, 'endTime'), dateFormat);
+      }
+      let durationSeconds = parseCsvDuration(value(cells, 'duration'));
+
+      if (!end && durationSeconds === null) return { row, error: 'End time or duration not recognized' };
+      if (durationSeconds !== null) {
+        durationSeconds = checkDuration(durationSeconds);
+        if (durationSeconds.error) return { row, error: durationSeconds.error };
+      }
+
+      return {
+        row,
+        start,
+        end,
+        durationSeconds,
+        title: cleanText(value(cells, 'title'), SYNC_POLICY.maxTitleLength),
+        project: cleanText(value(cells, 'project'), 50)
+      };
+    });
+
+    return { entries, mapping: resolved.mapping };
+  }
+
+  /**
+   * Map mapping fields to column indexes, using a preset when no mapping is given
+   * @returns {Object} { indexes, mapping } or { error }
+   */
+  resolveMapping(columns, mapping) {
+    const candidates = mapping ? [mapping] : Object.values(CSV_PRESETS);
+
+    if (mapping) {
+      const unknown = Object.keys(mapping).filter(field => !MAPPING_FIELDS.includes(field));
+      if (unknown.length > 0) {
+        return { error: `Unknown mapping fields: ${unknown.join(', ')} (use ${MAPPING_FIELDS.join(', ')})` };
+      }
+    }
+
+    for (const candidate of candidates) {
+      const indexes = {};
+      const missing = [];
+
+      for (const [field, column] of Object.entries(candidate)) {
+        const index = columns.indexOf(String(column).trim().toLowerCase());
+        if (index !== -1) indexes[field] = index;
+        else if (mapping) missing.push(column);
+      }
+
+      const hasStart = indexes.start !== undefined || (indexes.startDate !== undefined && indexes.startTime !== undefined);
+      const hasEnd = indexes.end !== undefined || indexes.endTime !== undefined || indexes.duration !== undefined;
+
+      if (mapping && missing.length > 0) {
+        return { error: `Columns not found in the CSV: ${missing.join(', ')}` };
+      }
+      if (hasStart && hasEnd) {
+        return { indexes, mapping: candidate };
+      }
+    }
+
+    return {
+      error: mapping
+        ? 'mapping needs a start (start, or startDate and startTime) and an end (end, endTime or duration)'
+        : 'Could not recognize the CSV columns; send a mapping'
+    };
+  }
+
+  // Toggl: Track API time entries (array), detailed report v2 ({ data }) or
+  // v3 (groups with nested time_entries)
+  togglItems(data) {
+    const items = Array.isArray(data) ? data : data?.data;
+    if (!Array.isArray(items)) return null;
+
+    return items.flatMap(item => (Array.isArray(item?.time_entries)
+      ? item.time_entries.map(entry => ({ description: item.description, project: item.project, ...entry }))
+      : [item]));
+  }
+
+  togglEntry(item, row) {
+    if (!item || typeof item !== 'object') return { row, error: 'Entry must be an object' };
+
+    const start = normalizeTimestamp(item.start);
+    const stop = item.stop || item.end;
+    let durationSeconds = null;
+    if (Number.isFinite(item.seconds)) durationSeconds = item.seconds;
+    else if (Number.isFinite(item.dur)) durationSeconds = Math.round(item.dur / 1000);
+    else if (Number.isFinite(item.duration)) durationSeconds = item.duration;
+
+    if (!stop && (durationSeconds === null || durationSeconds < 0)) return { row, error: 'Entry is still running' };
+    if (!start) return { row, error: 'start not recognized' };
+
+    const end = stop ? normalizeTimestamp(stop) : null;
+    if (stop && !end) return { row, error: 'stop not recognized' };
+    if (durationSeconds !== null) {
+      durationSeconds = checkDuration(durationSeconds);
+      if (durationSeconds.error) return { row, error: durationSeconds.error };
+    }
+
+    return {
+      row,
+      start,
+      end,
+      durationSeconds,
+      title: cleanText(item.description, SYNC_POLICY.maxTitleLength),
+      project: cleanText(item.project || item.project_name, 50)
+    };
+  }
+
+  clockifyEntry(item, row) {
+    const interval = item?.timeInterval;
+    if (!interval) return { row, error: 'timeInterval missing' };
+
+    const start = normalizeTimestamp(interval.start);
+    if (!start) return { row, error: 'timeInterval.start not recognized' };
+    if (!interval.end) return { row, error: 'Entry is still running' };
+
+    const end = normalizeTimestamp(interval.end);
+    if (!end) return { row, error: 'timeInterval.end not recognized' };
+
+    let durationSeconds = Number.isFinite(interval.duration) ? interval.duration : parseIsoDuration(interval.duration);
+    if (durationSeconds !== null) {
+      durationSeconds = checkDuration(durationSeconds);
+      if (durationSeconds.error) return { row, error: durationSeconds.error };
+    }
+
+    return {
+      row,
+      start,
+      end,
+      durationSeconds,
+      title: cleanText(item.description, SYNC_POLICY.maxTitleLength),
+      project: cleanText(item.project?.name || item.projectName, 50)
+    };
+  }
+
+  /**
+   * Resolve entries to absolute times and decide what happens to each
+   * Status is 'new', 'duplicate' (already in time_logs or earlier in the file),
+   * 'overlap' (clashes with another session) or 'invalid'.
+   * @param {string} timezone - Zone for timestamps without a UTC offset
+   * @returns {Object[]} Entries with { status, start, end, minutes, error, conflictingTimeLogId }
+   */
+  async checkEntries(studentId, entries, timezone, client = this.db) {
+    const parsed = entries.filter(entry => !entry.error);
+    const resolved = parsed.length === 0 ? { rows: [] } : await client.query(`
+      WITH input AS (
+        SELECT *
+        FROM unnest($2::text[], $3::text[], $4::int[]) WITH ORDINALITY AS i(start_text, end_text, duration_seconds, idx)
+      ),
+      times AS (
+        SELECT idx,
+               CASE WHEN start_text ~ '(Z|[+-][0-9]{2}:?[0-9]{2})$' THEN start_text::timestamptz
+                    ELSE start_text::timestamp AT TIME ZONE $5 END AS start_at,
+               CASE WHEN end_text IS NULL THEN NULL
+                    WHEN end_text ~ '(Z|[+-][0-9]{2}:?[0-9]{2})$' THEN end_text::timestamptz
+                    ELSE end_text::timestamp AT TIME ZONE $5 END AS end_at,
+               duration_seconds
+        FROM input
+      ),
+      spans AS (
+        SELECT idx, start_at, COALESCE(end_at, start_at + make_interval(secs => duration_seconds)) AS end_at
+        FROM times
+      )
+      SELECT s.idx, s.start_at, s.end_at,
+             (SELECT t.id FROM time_logs t
+              WHERE t.student_id = $1
+                AND t.session_start BETWEEN s.start_at - make_interval(secs => $6) AND s.start_at + make_interval(secs => $6)
+                AND COALESCE(t.session_end, NOW()) BETWEEN s.end_at - make_interval(secs => $6) AND s.end_at + make_interval(secs => $6)
+              LIMIT 1) AS duplicate_of,
+             (SELECT t.id FROM time_logs t
+              WHERE t.student_id = $1
+                AND t.session_start < s.end_at
+                AND COALESCE(t.session_end, NOW()) > s.start_at
+              LIMIT 1) AS overlaps
+      FROM spans s
+      ORDER BY s.idx
+    `, [
+      studentId,
+      parsed.map(entry => entry.start),
+      parsed.map(entry => entry.end),
+      parsed.map(entry => entry.durationSeconds),
+      timezone,
+      IMPORT_POLICY.duplicateToleranceSeconds
+    ]);
+
+    const checked = new Map();
+    parsed.forEach((entry, index) => {
+      const row = resolved.rows[index];
+      const start = new Date(row.start_at);
+      const end = new Date(row.end_at);
+      const result = { ...entry, start: start.toISOString(), end: end.toISOString(), minutes: Math.round((end - start) / 60000) };
+
+      if (end <= start) {
+        result.status = 'invalid';
+        result.error = 'Ends before it starts';
+      } else if (end - start > IMPORT_POLICY.maxSessionHours * 60 * 60 * 1000) {
+        result.status = 'invalid';
+        result.error = `Longer than ${IMPORT_POLICY.maxSessionHours} hours`;
+      } else if (end.getTime() > Date.now() + SYNC_POLICY.clockSkewSeconds * 1000) {
+        result.status = 'invalid';
+        result.error = 'Ends in the future';
+      } else if (row.duplicate_of) {
+        result.status = 'duplicate';
+        result.conflictingTimeLogId = row.duplicate_of;
+      } else if (row.overlaps) {
+        result.status = 'overlap';
+        result.conflictingTimeLogId = row.overlaps;
+      } else {
+        result.status = 'new';
+      }
+      checked.set(entry, result);
+    });
+
+    // Rows of the same file that repeat or overlap an earlier accepted row
+    const accepted = [...checked.values()]
+      .filter(result => result.status === 'new')
+      .sort((a, b) => a.start.localeCompare(b.start) || a.row - b.row);
+    let previous = null;
+    for (const result of accepted) {
+      if (previous && result.start < previous.end) {
+        const tolerance = IMPORT_POLICY.duplicateToleranceSeconds * 1000;
+        const sameSpan = Math.abs(new Date(result.start) - new Date(previous.start)) <= tolerance &&
+          Math.abs(new Date(result.end) - new Date(previous.end)) <= tolerance;
+        result.status = sameSpan ? 'duplicate' : 'overlap';
+        result.conflictingRow = previous.row;
+        continue;
+      }
+      previous = result;
+    }
+
+    return entries.map(entry => checked.get(entry) || { ...entry, status: 'invalid' });
+  }
+
+  /**
+   * Check an upload and, unless dryRun, store its new rows as one batch
+   * @param {Object} upload - { format, data, mapping, dateFormat, timezone, fileName, dryRun }
+   * @returns {Object} { importId, counts, rows, mapping } or { error }
+   */
+  async importUpload(studentId, upload) {
+    const parsed = this.parseUpload(upload);
+    if (parsed.error) return parsed;
+
+    const timezone = await this.resolveTimezone(studentId, upload.timezone);
+    if (!timezone) return { error: 'timezone is not a known time zone' };
+
+    if (upload.dryRun) {
+      const rows = await this.checkEntries(studentId, parsed.entries, timezone);
+      return { importId: null, ...this.summarize(rows), mapping: parsed.mapping };
+    }
+
+    const client = await this.db.connect();
+    try {
+      await client.query('BEGIN');
+      // One import at a time per student, so two uploads can't both pass the duplicate check
+      await client.query('SELECT id FROM students WHERE id = $1 FOR UPDATE', [studentId]);
+
+      const rows = await this.checkEntries(studentId, parsed.entries, timezone, client);
+      const fresh = rows.filter(row => row.status === 'new');
+
+      const batch = await client.query(`
+        INSERT INTO time_log_imports (student_id, source, file_name, total_rows, imported_rows, skipped_rows)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id
+      `, [studentId, upload.format, cleanText(upload.fileName, 255), rows.length, fresh.length, rows.length - fresh.length]);
+      const importId = batch.rows[0].id;
+
+      for (const row of fresh) {
+        const inserted = await client.query(`
+          INSERT INTO time_logs
+          (student_id, session_start, session_end, duration_minutes, is_active, activity_type,
+           assignment_title, ended_reason, import_batch_id)
+          VALUES ($1, $2::timestamptz, $3::timestamptz, $4, false, $5, $6, 'imported', $7)
+          RETURNING id
+        `, [studentId, row.start, row.end, row.minutes, row.project, row.title || row.project, importId]);
+        row.timeLogId = inserted.rows[0].id;
+      }
+
+      await client.query('COMMIT');
+      return { importId, ...this.summarize(rows), mapping: parsed.mapping };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  summarize(rows) {
+    const counts = { total: rows.length, new: 0, duplicate: 0, overlap: 0, invalid: 0 };
+    rows.forEach(row => { counts[row.status]++; });
+
+    return {
+      counts,
+      rows: rows.slice(0, IMPORT_POLICY.previewRows).map(row => ({
+        row: row.row,
+        status: row.status,
+        start: row.start || null,
+        end: row.end || null,
+        minutes: row.minutes ?? null,
+        title: row.title || null,
+        project: row.project || null,
+        error: row.error || null,
+        conflictingTimeLogId: row.conflictingTimeLogId || null,
+        conflictingRow: row.conflictingRow || null,
+        timeLogId: row.timeLogId || null
+      }))
+    };
+  }
+
+  // The requested zone if Postgres knows it, else the student's own
+  async resolveTimezone(studentId, requested) {
+    if (requested) {
+      const known = await this.db.query('SELECT name FROM pg_timezone_names WHERE name = $1', [requested]);
+      return known.rows[0]?.name || null;
+    }
+    const student = await this.db.query(
+      'SELECT COALESCE(timezone, \'America/New_York\') AS tz FROM students WHERE id = $1',
+      [studentId]
+    );
+    return student.rows[0]?.tz || 'America/New_York';
+  }
+
+  /**
+   * A student's imports, newest first
+   */
+  async listImports(studentId) {
+    const result = await this.db.query(`
+      SELECT id, source, file_name, total_rows, imported_rows, skipped_rows, created_at, rolled_back_at
+      FROM time_log_imports
+      WHERE student_id = $1
+      ORDER BY created_at DESC, id DESC
+    `, [studentId]);
+    return result.rows;
+  }
+
+  /**
+   * Delete every session an import created (including ones edited since)
+   * @returns {Object|null} { removed } or null if the student has no such import
+   *   still in place
+   */
+  async rollbackImport(studentId, importId) {
+    const client = await this.db.connect();
+    try {
+      await client.query('BEGIN');
+
+      const batch = await client.query(`
+        UPDATE time_log_imports SET rolled_back_at = NOW()
+        WHERE id = $1 AND student_id = $2 AND rolled_back_at IS NULL
+        RETURNING id
+      `, [importId, studentId]);
+
+      if (batch.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const removed = await client.query(
+        'DELETE FROM time_logs WHERE import_batch_id = $1 AND student_id = $2 RETURNING id',
+        [importId, studentId]
+      );
+
+      await client.query('COMMIT');
+      return { removed: removed.rows.length };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = TimeLogImporter;
+module.exports.IMPORT_POLICY = IMPORT_POLICY;
+module.exports.CSV_PRESETS = CSV_PRESETS;
+module.exports.parseCsv = parseCsv;
@@ -0,0 +1,637 @@
+/**
+ * Time Tracker
+ * Extension time-tracking sessions (time_logs rows with is_active = true).
+ * Duration is measured by the server from heartbeats: gaps up to the idle
+ * threshold count as study time, longer gaps count as breaks. Sessions that
+ * stop sending heartbeats are closed by sweepStaleSessions. Distraction events
+ * reported by the extension give each session a focus ratio.
+ */
+
+const TRACKING_POLICY = {
+  heartbeatIntervalSeconds: 60, // how often the extension is asked to ping
+  idleThresholdSeconds: parseInt(process.env.TIME_LOG_IDLE_SECONDS) || 5 * 60,
+  staleAfterSeconds: parseInt(process.env.TIME_LOG_STALE_SECONDS) || 10 * 60,
+  // Sessions from older extensions never send heartbeats, and paused sessions
+  // are not expected to; give up on them after this long
+  abandonedAfterHours: 12,
+  // 'single': starting a session ends the student's other open sessions
+  // 'multiple': sessions run side by side (e.g. one per tab)
+  concurrency: process.env.TIME_LOG_CONCURRENCY === 'multiple' ? 'multiple' : 'single'
+};
+
+const SYNC_POLICY = {
+  maxBatchSize: 100,
+  maxSessionHours: 16,      // longer offline sessions are rejected as implausible
+  clockSkewSeconds: 120,    // allowed drift between the extension and server clocks
+  maxTitleLength: 255,      // time_logs.assignment_title
+  maxSiteNameLength: 100    // time_logs.site_name
+};
+
+const FOCUS_POLICY = {
+  focusedRatio: 0.8,        // sessions at or above this ratio are marked was_focused
+  maxEventsPerRequest: 100,
+  maxSwitchCount: 1000      // tab switches one event may report
+};
+
+const DISTRACTION_TYPES = ['site_switch', 'idle', 'tab_switch'];
+
+// Windows for focusSummary, as SQL lower bounds on session_start
+const FOCUS_PERIODS = {
+  today: 'CURRENT_DATE',
+  week: `DATE_TRUNC('week', CURRENT_DATE)`,
+  month: `CURRENT_DATE - INTERVAL '30 days'`
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Seconds since the last sign of life, measured on the server clock
+// (created_at stands in for the first heartbeat)
+const GAP_SQL = `EXTRACT(EPOCH FROM (NOW() - COALESCE(last_heartbeat_at, created_at)))`;
+
+class TimeTracker {
+
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Find the assignment a tracked page belongs to, creating it if needed
+   * @returns {number} Assignment id
+   */
+  async findOrCreateAssignment(studentId, assignmentTitle, assignmentUrl) {
+    // Pages without a URL are matched by title instead
+    const assignment = await this.db.query(`
+      SELECT id FROM assignments
+      WHERE student_id = $1
+        AND (canvas_url = $2 OR ($2::text IS NULL AND LOWER(title) = LOWER($3)))
+      ORDER BY id
+      LIMIT 1
+    `, [studentId, assignmentUrl || null, assignmentTitle || null]);
+
+    if (assignment.rows.length > 0) {
+      return assignment.rows[0].id;
+    }
+
+    // An open calendar (ICS) item with the same title, ignoring the D2L
+    // " - Due" suffix; the soonest deadline wins. The page URL is remembered
+    // so later sessions match it directly.
+    const synced = await this.db.query(`
+      UPDATE assignments
+      SET canvas_url = COALESCE(canvas_url, $3), updated_at = NOW()
+      WHERE id = (
+        SELECT id FROM assignments
+        WHERE student_id = $1
+          AND source = 'ics'
+          AND is_completed = false
+          AND LOWER(REGEXP_REPLACE(title, '\\s*-\\s*due$', '', 'i')) = LOWER($2)
+        ORDER BY due_date < NOW(), ABS(EXTRACT(EPOCH FROM (due_date - NOW()))), id
+        LIMIT 1
+      )
+      RETURNING id
+    `, [studentId, String(assignmentTitle || '').trim(), assignmentUrl || null]);
+
+    if (synced.rows.length > 0) {
+      return synced.rows[0].id;
+    }
+
+    // Create new assignment automatically
+    const newAssignment = await this.db.query(`
+      INSERT INTO assignments
+      (student_id, title, due_date, canvas_url, estimated_hours)
+      VALUES ($1, $2, NOW() + INTERVAL '7 days', $3, 5.0)
+      RETURNING id
+    `, [studentId, assignmentTitle, assignmentUrl]);
+    return newAssignment.rows[0].id;
+  }
+
+  /**
+   * Open a tracking session
+   * Under the 'single' concurrency policy the student's other open sessions
+   * are ended first (ended_reason 'superseded').
+   * @param {Object} data - { assignmentTitle, assignmentUrl, startTime, siteName }
+   * @returns {Object} { log, endedSessions } (log is the new time_logs row)
+   */
+  async startSession(studentId, { assignmentTitle, assignmentUrl, startTime, siteName }) {
+    const endedSessions = TRACKING_POLICY.concurrency === 'single'
+      ? await this.endSession(studentId, { reason: 'superseded' })
+      : [];
+
+    const assignmentId = await this.findOrCreateAssignment(studentId, assignmentTitle, assignmentUrl);
+
+    // Create time log entry with site_name and assignment_title for detection
+    const result = await this.db.query(`
+      INSERT INTO time_logs
+      (student_id, assignment_id, session_start, is_active, site_name, assignment_title)
+      VALUES ($1, $2, COALESCE($3::timestamp, NOW()), true, $4, $5)
+      RETURNING *
+    `, [studentId, assignmentId, startTime || null, siteName, assignmentTitle]);
+
+    return { log: result.rows[0], endedSessions };
+  }
+
+  /**
+   * Record a heartbeat for an open session (paused sessions are skipped)
+   * @param {Object} options - { timeLogId, idle }
+   *   timeLogId picks a session (default: all of the student's running sessions);
+   *   idle = true means the browser reported the user idle since the last ping
+   * @returns {Object[]} Updated rows, each with idle_gap (true if this gap was a break)
+   */
+  async heartbeat(studentId, { timeLogId = null, idle = false } = {}) {
+    // The gap is measured before the update moves last_heartbeat_at
+    const result = await this.db.query(`
+      WITH gaps AS (
+        SELECT id, ${GAP_SQL} AS gap
+        FROM time_logs
+        WHERE student_id = $1
+          AND is_active = true
+          AND is_paused = false
+          AND ($2::int IS NULL OR id = $2)
+        FOR UPDATE
+      )
+      UPDATE time_logs t
+      SET active_seconds = t.active_seconds + CASE WHEN NOT $3 AND g.gap <= $4 THEN ROUND(g.gap)::int ELSE 0 END,
+          idle_seconds = t.idle_seconds + CASE WHEN NOT $3 AND g.gap <= $4 THEN 0 ELSE ROUND(g.gap)::int END,
+          last_heartbeat_at = NOW()
+      FROM gaps g
+      WHERE t.id = g.id
+      RETURNING t.*, ($3 OR g.gap > $4) AS idle_gap
+    `, [studentId, timeLogId, !!idle, TRACKING_POLICY.idleThresholdSeconds]);
+
+    return result.rows;
+  }
+
+  /**
+   * Close open sessions, computing duration from heartbeats
+   * Sessions that never sent a heartbeat (older extensions) fall back to the
+   * server-measured wall-clock time, capped at clientDurationMinutes if given.
+   * @param {Object} options - { timeLogId, clientDurationMinutes, reason }
+   * @returns {Object[]} The closed rows
+   */
+  async endSession(studentId, { timeLogId = null, clientDurationMinutes = null, reason = 'client' } = {}) {
+    const clientMinutes = Number.isFinite(parseFloat(clientDurationMinutes)) ? parseFloat(clientDurationMinutes) : null;
+
+    // A paused session gets no credit for the time since it was paused
+    const result = await this.db.query(`
+      UPDATE time_logs
+      SET active_seconds = active_seconds + CASE
+            WHEN last_heartbeat_at IS NOT NULL AND NOT is_paused AND ${GAP_SQL} <= $4 THEN ROUND(${GAP_SQL})::int ELSE 0 END,
+          session_end = CASE
+            WHEN last_heartbeat_at IS NOT NULL AND (is_paused OR ${GAP_SQL} > $4) THEN last_heartbeat_at ELSE NOW() END,
+          duration_minutes = CASE
+            WHEN last_heartbeat_at IS NULL
+              THEN ROUND(LEAST(${GAP_SQL} / 60.0, COALESCE($3::numeric, ${GAP_SQL} / 60.0)))
+            ELSE ROUND((active_seconds + CASE WHEN NOT is_paused AND ${GAP_SQL} <= $4 THEN ${GAP_SQL} ELSE 0 END) / 60.0)
+          END,
+          is_active = false,
+          is_paused = false,
+          ended_reason = $5
+      WHERE student_id = $1
+        AND is_active = true
+        AND ($2::int IS NULL OR id = $2)
+      RETURNING *
+    `, [studentId, timeLogId, clientMinutes, TRACKING_POLICY.idleThresholdSeconds, reason]);
+
+    const ids = result.rows.map(row => row.id);
+    await this.closeOpenPauses(ids);
+    return this.refreshFocus(ids);
+  }
+
+  /**
+   * Pause a running session
+   * Time up to now is credited as if a heartbeat arrived; nothing after counts
+   * until it is resumed.
+   * @returns {Object|null} The updated row, or null if the session isn't running
+   */
+  async pauseSession(studentId, timeLogId) {
+    const [log] = await this.heartbeat(studentId, { timeLogId });
+    if (!log) return null;
+
+    await this.db.query('UPDATE time_logs SET is_paused = true WHERE id = $1', [log.id]);
+    await this.db.query('INSERT INTO time_log_pauses (time_log_id, paused_at) VALUES ($1, NOW())', [log.id]);
+
+    return { ...log, is_paused: true };
+  }
+
+  /**
+   * Resume a paused session
+   * @returns {Object|null} The updated row, or null if the session isn't paused
+   */
+  async resumeSession(studentId, timeLogId) {
+    // Restart the heartbeat clock so the pause isn't counted as a gap
+    const result = await this.db.query(`
+      UPDATE time_logs
+      SET is_paused = false, last_heartbeat_at = NOW()
+      WHERE id = $1 AND student_id = $2 AND is_active = true AND is_paused = true
+      RETURNING *
+    `, [timeLogId, studentId]);
+
+    if (result.rows.length === 0) return null;
+
+    await this.closeOpenPauses([timeLogId]);
+    return result.rows[0];
+  }
+
+  /**
+   * Mark open pause rows of the given sessions as resumed
+   */
+  async closeOpenPauses(timeLogIds) {
+    if (timeLogIds.length === 0) return;
+    await this.db.query(
+      'UPDATE time_log_pauses SET resumed_at = NOW() WHERE time_log_id = ANY($1) AND resumed_at IS NULL',
+      [timeLogIds]
+    );
+  }
+
+  /**
+   * A session's pause intervals, oldest first
+   */
+  async listPauses(timeLogId) {
+    const result = await this.db.query(
+      'SELECT id, paused_at, resumed_at FROM time_log_pauses WHERE time_log_id = $1 ORDER BY paused_at',
+      [timeLogId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Check one offline session before it is stored
+   * @returns {string|null} Error message, or null if it looks valid
+   */
+  validateSyncedSession(session) {
+    if (!session || typeof session !== 'object') return 'Session must be an object';
+    if (typeof session.clientSessionId !== 'string' || !UUID_PATTERN.test(session.clientSessionId)) {
+      return 'clientSessionId must be a UUID';
+    }
+
+    const start = new Date(session.startTime);
+    const end = new Date(session.endTime);
+    if (isNaN(start) || isNaN(end)) return 'startTime and endTime must be valid timestamps';
+    if (end <= start) return 'endTime must be after startTime';
+    if (end - start > SYNC_POLICY.maxSessionHours * 60 * 60 * 1000) {
+      return `Sessions can't be longer than ${SYNC_POLICY.maxSessionHours} hours`;
+    }
+    if (end.getTime() > Date.now() + SYNC_POLICY.clockSkewSeconds * 1000) {
+      return 'Session ends in the future';
+    }
+    if (session.assignmentTitle && String(session.assignmentTitle).length > SYNC_POLICY.maxTitleLength) {
+      return `assignmentTitle can't be longer than ${SYNC_POLICY.maxTitleLength} characters`;
+    }
+    if (session.siteName && String(session.siteName).length > SYNC_POLICY.maxSiteNameLength) {
+      return `siteName can't be longer than ${SYNC_POLICY.maxSiteNameLength} characters`;
+    }
+    return null;
+  }
+
+  /**
+   * Store a batch of sessions recorded while offline
+   * Items are independent: one bad session doesn't reject the batch. Replaying
+   * a clientSessionId that was already stored returns status 'duplicate'.
+   * @param {Object[]} sessions - [{ clientSessionId, startTime, endTime, siteName, assignmentTitle, assignmentUrl }]
+   * @returns {Object} { results: [{ clientSessionId, status, timeLogId, error }], cursor }
+   *   status is 'created', 'duplicate' or 'rejected'; cursor is the end time of
+   *   the student's latest synced session (everything up to it is stored)
+   */
+  async syncSessions(studentId, sessions) {
+    const results = [];
+
+    for (const session of sessions) {
+      const clientSessionId = typeof session?.clientSessionId === 'string' ? session.clientSessionId : null;
+      const error = this.validateSyncedSession(session);
+      if (error) {
+        results.push({ clientSessionId, status: 'rejected', error });
+        continue;
+      }
+
+      // A database error fails this item only; earlier items are already stored
+      try {
+        results.push(await this.storeSyncedSession(studentId, session));
+      } catch (storeError) {
+        console.error('[TimeTracker] sync item error:', storeError);
+        results.push({ clientSessionId, status: 'rejected', error: 'Could not store session' });
+      }
+    }
+
+    const cursor = await this.db.query(
+      'SELECT MAX(session_end) AS synced_through FROM time_logs WHERE student_id = $1 AND client_session_id IS NOT NULL',
+      [studentId]
+    );
+
+    return { results, cursor: cursor.rows[0].synced_through };
+  }
+
+  /**
+   * Store one validated synced session unless it was already stored or overlaps
+   * @returns {Object} Result item with status 'created', 'duplicate' or 'rejected'
+   */
+  async storeSyncedSession(studentId, session) {
+    const clientSessionId = session.clientSessionId;
+    // Normalized so Postgres reads the same instant validateSyncedSession checked
+    const startTime = new Date(session.startTime).toISOString();
+    const endTime = new Date(session.endTime).toISOString();
+
+    const existing = await this.db.query(
+      'SELECT id FROM time_logs WHERE student_id = $1 AND client_session_id = $2',
+      [studentId, clientSessionId]
+    );
+    if (existing.rows.length > 0) {
+      return { clientSessionId, status: 'duplicate', timeLogId: existing.rows[0].id };
+    }
+
+    // Earlier items of this batch are already stored, so they are checked too
+    const overlap = await this.db.query(`
+      SELECT id FROM time_logs
+      WHERE student_id = $1
+        AND session_start < $3::timestamptz
+        AND COALESCE(session_end, NOW()) > $2::timestamptz
+      LIMIT 1
+    `, [studentId, startTime, endTime]);
+    if (overlap.rows.length > 0) {
+      return {
+        clientSessionId,
+        status: 'rejected',
+        error: 'Overlaps with an existing session',
+        conflictingTimeLogId: overlap.rows[0].id
+      };
+    }
+
+    // Pages without a title are named after their URL (assignments.title is required)
+    const title = session.assignmentTitle ||
+      (session.assignmentUrl ? String(session.assignmentUrl).slice(0, SYNC_POLICY.maxTitleLength) : 'Untitled');
+    const assignmentId = (session.assignmentTitle || session.assignmentUrl)
+      ? await this.findOrCreateAssignment(studentId, title, session.assignmentUrl)
+      : null;
+
+    const inserted = await this.db.query(`
+      INSERT INTO time_logs
+      (student_id, assignment_id, session_start, session_end, duration_minutes, active_seconds,
+       is_active, site_name, assignment_title, client_session_id, ended_reason)
+      VALUES ($1, $2, $3::timestamptz, $4::timestamptz,
+              ROUND(EXTRACT(EPOCH FROM ($4::timestamptz - $3::timestamptz)) / 60.0),
+              ROUND(EXTRACT(EPOCH FROM ($4::timestamptz - $3::timestamptz)))::int,
+              false, $5, $6, $7, 'synced')
+      ON CONFLICT (student_id, client_session_id) WHERE client_session_id IS NOT NULL DO NOTHING
+      RETURNING id
+    `, [
+      studentId,
+      assignmentId,
+      startTime,
+      endTime,
+      session.siteName || null,
+      session.assignmentTitle || null,
+      clientSessionId
+    ]);
+
+    if (inserted.rows.length === 0) {
+      // Same id stored by a concurrent request
+      const raced = await this.db.query(
+        'SELECT id FROM time_logs WHERE student_id = $1 AND client_session_id = $2',
+        [studentId, clientSessionId]
+      );
+      return { clientSessionId, status: 'duplicate', timeLogId: raced.rows[0]?.id || null };
+    }
+    return { clientSessionId, status: 'created', timeLogId: inserted.rows[0].id };
+  }
+
+  /**
+   * Running sessions of the given students with their live elapsed time
+   * elapsed_seconds is what endSession would credit if the session ended now.
+   * @returns {Object[]} Rows with elapsed_seconds, oldest first
+   */
+  async liveSessions(studentIds) {
+    if (studentIds.length === 0) return [];
+
+    const result = await this.db.query(`
+      SELECT id, student_id, assignment_id, assignment_title, site_name, session_start, is_paused,
+             CASE
+               WHEN last_heartbeat_at IS NULL THEN ROUND(${GAP_SQL})::int
+               WHEN NOT is_paused AND ${GAP_SQL} <= $2 THEN active_seconds + ROUND(${GAP_SQL})::int
+               ELSE active_seconds
+             END AS elapsed_seconds
+      FROM time_logs
+      WHERE student_id = ANY($1) AND is_active = true
+      ORDER BY session_start, id
+    `, [studentIds, TRACKING_POLICY.idleThresholdSeconds]);
+    return result.rows;
+  }
+
+  /**
+   * Close sessions whose heartbeats stopped (browser crashed, laptop closed...)
+   * The session ends at its last heartbeat and keeps the time measured so far.
+   * @returns {Object[]} The closed rows
+   */
+  async sweepStaleSessions() {
+    const stale = await this.db.query(`
+      UPDATE time_logs
+      SET session_end = last_heartbeat_at,
+          duration_minutes = ROUND(active_seconds / 60.0),
+          is_active = false,
+          ended_reason = 'stale'
+      WHERE is_active = true
+        AND is_paused = false
+        AND last_heartbeat_at IS NOT NULL
+        AND last_heartbeat_at < NOW() - make_interval(secs => $1)
+      RETURNING *
+    `, [TRACKING_POLICY.staleAfterSeconds]);
+
+    // Paused sessions keep the time measured before the pause
+    const abandoned = await this.db.query(`
+      UPDATE time_logs
+      SET session_end = COALESCE(last_heartbeat_at, NOW()),
+          duration_minutes = ROUND(active_seconds / 60.0),
+          is_active = false,
+          is_paused = false,
+          ended_reason = 'abandoned'
+      WHERE is_active = true
+        AND COALESCE(last_heartbeat_at, created_at) < NOW() - make_interval(hours => $1)
+        AND (last_heartbeat_at IS NULL OR is_paused = true)
+      RETURNING *
+    `, [TRACKING_POLICY.abandonedAfterHours]);
+
+    await this.closeOpenPauses(abandoned.rows.map(row => row.id));
+    return this.refreshFocus([...stale.rows, ...abandoned.rows].map(row => row.id));
+  }
+
+  /**
+   * Check one distraction event before it is stored
+   * @param {Object} log - The session the event belongs to
+   * @returns {string|null} Error message, or null if it looks valid
+   */
+  validateDistraction(log, event) {
+    if (!event || typeof event !== 'object') return 'Event must be an object';
+    if (!DISTRACTION_TYPES.includes(event.type)) return `type must be one of ${DISTRACTION_TYPES.join(', ')}`;
+    if (event.clientEventId !== undefined && event.clientEventId !== null &&
+        (typeof event.clientEventId !== 'string' || !UUID_PATTERN.test(event.clientEventId))) {
+      return 'clientEventId must be a UUID';
+    }
+
+    const startedAt = new Date(event.startedAt);
+    if (!event.startedAt || isNaN(startedAt)) return 'startedAt must be a valid timestamp';
+
+    const skew = SYNC_POLICY.clockSkewSeconds * 1000;
+    const sessionEnd = log.session_end ? new Date(log.session_end).getTime() : Date.now();
+    if (startedAt < new Date(log.session_start).getTime() - skew || startedAt > sessionEnd + skew) {
+      return 'startedAt is outside the session';
+    }
+
+    if (event.type === 'tab_switch') {
+      if (event.count !== undefined && !(Number.isInteger(event.count) && event.count > 0)) {
+        return 'count must be a positive integer';
+      }
+      if (event.count > FOCUS_POLICY.maxSwitchCount) {
+        return `count can't be more than ${FOCUS_POLICY.maxSwitchCount}`;
+      }
+    } else {
+      if (!(Number.isInteger(event.durationSeconds) && event.durationSeconds >= 0)) {
+        return 'durationSeconds must be a non-negative integer';
+      }
+      // The event has to end inside the session too
+      if (event.durationSeconds > SYNC_POLICY.maxSessionHours * 60 * 60 ||
+          startedAt.getTime() + event.durationSeconds * 1000 > sessionEnd + skew) {
+        return 'durationSeconds runs past the end of the session';
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Store distraction events for a session and update its focus ratio
+   * Events must already have passed validateDistraction. Replaying a
+   * clientEventId that was already stored is ignored.
+   * @param {Object[]} events - [{ type, startedAt, durationSeconds, count, siteName, clientEventId }]
+   * @returns {Object} { recorded, duplicates, log }
+   */
+  async recordDistractions(studentId, timeLogId, events) {
+    let recorded = 0;
+
+    for (const event of events) {
+      const isTabSwitch = event.type === 'tab_switch';
+      const result = await this.db.query(`
+        INSERT INTO time_log_distractions
+        (time_log_id, student_id, event_type, site_name, started_at, duration_seconds, switch_count, client_event_id)
+        VALUES ($1, $2, $3, $4, $5::timestamptz, $6, $7, $8)
+        ON CONFLICT DO NOTHING
+        RETURNING id
+      `, [
+        timeLogId,
+        studentId,
+        event.type,
+        event.siteName ? String(event.siteName).slice(0, 100) : null,
+        new Date(event.startedAt).toISOString(),
+        isTabSwitch ? 0 : event.durationSeconds,
+        isTabSwitch ? (event.count || 1) : 0,
+        event.clientEventId || null
+      ]);
+      recorded += result.rows.length;
+    }
+
+    const [log] = await this.refreshFocus([timeLogId]);
+    return { recorded, duplicates: events.length - recorded, log };
+  }
+
+  /**
+   * A session's distraction events, oldest first
+   */
+  async listDistractions(timeLogId) {
+    const result = await this.db.query(`
+      SELECT id, event_type, site_name, started_at, duration_seconds, switch_count, created_at
+      FROM time_log_distractions
+      WHERE time_log_id = $1
+      ORDER BY started_at, id
+    `, [timeLogId]);
+    return result.rows;
+  }
+
+  /**
+   * Recompute distraction totals and focus ratio of the given sessions
+   * The ratio is the share of the session not spent idle or on other sites.
+   * Heartbeat idle time and reported idle events describe the same breaks, so
+   * the larger of the two is used. Sessions with neither heartbeats nor events
+   * keep a NULL ratio.
+   * @returns {Object[]} The updated rows
+   */
+  async refreshFocus(timeLogIds) {
+    if (timeLogIds.length === 0) return [];
+
+    const result = await this.db.query(`
+      WITH events AS (
+        SELECT time_log_id,
+               COALESCE(SUM(duration_seconds) FILTER (WHERE event_type = 'site_switch'), 0) AS offsite,
+               COALESCE(SUM(duration_seconds) FILTER (WHERE event_type = 'idle'), 0) AS idle,
+               COALESCE(SUM(switch_count) FILTER (WHERE event_type = 'tab_switch'), 0) AS tabs
+        FROM time_log_distractions
+        WHERE time_log_id = ANY($1)
+        GROUP BY time_log_id
+      ),
+      spans AS (
+        SELECT t.id,
+               CASE WHEN t.last_heartbeat_at IS NOT NULL THEN t.active_seconds + t.idle_seconds
+                    ELSE EXTRACT(EPOCH FROM (COALESCE(t.session_end, NOW()) - t.session_start)) END AS span,
+               GREATEST(t.idle_seconds, COALESCE(e.idle, 0)) AS idle,
+               COALESCE(e.offsite, 0) AS offsite,
+               COALESCE(e.tabs, 0) AS tabs,
+               (t.last_heartbeat_at IS NOT NULL OR e.time_log_id IS NOT NULL) AS measured
+        FROM time_logs t
+        LEFT JOIN events e ON e.time_log_id = t.id
+        WHERE t.id = ANY($1)
+      ),
+      ratios AS (
+        SELECT id, offsite, tabs,
+               CASE WHEN measured AND span > 0
+                    THEN GREATEST(0, LEAST(1, (span - idle - offsite) / span)) END AS ratio
+        FROM spans
+      )
+      UPDATE time_logs t
+      SET distracted_seconds = r.offsite,
+          tab_switches = r.tabs,
+          focus_ratio = ROUND(r.ratio::numeric, 3),
+          was_focused = COALESCE(r.ratio >= $2, t.was_focused)
+      FROM ratios r
+      WHERE t.id = r.id
+      RETURNING t.*
+    `, [timeLogIds, FOCUS_POLICY.focusedRatio]);
+
+    // Keep the caller's order
+    return timeLogIds.map(id => result.rows.find(row => row.id === id)).filter(Boolean);
+  }
+
+  /**
+   * Focus totals over finished sessions
+   * Only sessions with a focus ratio count toward focusRatio, weighted by length.
+   * @param {string} period - 'today', 'week' or 'month' (last 30 days)
+   * @returns {Object} { focusRatio, focusedMinutes, measuredMinutes, totalMinutes, distractedMinutes, tabSwitches }
+   */
+  async focusSummary(studentId, period = 'month') {
+    const since = FOCUS_PERIODS[period];
+    if (!since) throw new Error(`Unknown focus period: ${period}`);
+
+    const result = await this.db.query(`
+      SELECT COALESCE(SUM(duration_minutes), 0) AS total_minutes,
+             COALESCE(SUM(duration_minutes) FILTER (WHERE focus_ratio IS NOT NULL), 0) AS measured_minutes,
+             COALESCE(SUM(duration_minutes * focus_ratio), 0) AS focused_minutes,
+             COALESCE(SUM(distracted_seconds), 0) / 60.0 AS distracted_minutes,
+             COALESCE(SUM(tab_switches), 0) AS tab_switches
+      FROM time_logs
+      WHERE student_id = $1
+        AND is_active = false
+        AND session_start >= ${since}
+    `, [studentId]);
+
+    const row = result.rows[0];
+    const measuredMinutes = parseFloat(row.measured_minutes);
+    const focusedMinutes = parseFloat(row.focused_minutes);
+
+    return {
+      focusRatio: measuredMinutes > 0 ? Math.round((focusedMinutes / measuredMinutes) * 1000) / 1000 : null,
+      focusedMinutes: Math.round(focusedMinutes),
+      measuredMinutes,
+      totalMinutes: parseFloat(row.total_minutes),
+      distractedMinutes: Math.round(parseFloat(row.distracted_minutes)),
+      tabSwitches: parseInt(row.tab_switches)
+    };
+  }
+}
+
+module.exports = TimeTracker;
+module.exports.TRACKING_POLICY = TRACKING_POLICY;
+module.exports.SYNC_POLICY = SYNC_POLICY;
+module.exports.FOCUS_POLICY = FOCUS_POLICY;
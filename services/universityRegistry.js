@@ -0,0 +1,228 @@
+/**
+ * University Registry
+ * Universities and the email domains that belong to them (universities,
+ * university_domains). A domain matches itself and all of its subdomains;
+ * the most specific registered domain wins.
+ */
+
+const { hasAcademicSuffix, isAllowlistedDomain } = require('../academicDomains');
+
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+class UniversityRegistry {
+
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Normalize a domain, or return null if it isn't one
+   */
+  normalizeDomain(domain) {
+    const normalized = String(domain || '').trim().toLowerCase().replace(/^@/, '');
+    return DOMAIN_PATTERN.test(normalized) ? normalized : null;
+  }
+
+  /**
+   * A domain and each of its parents, most specific first
+   * e.g. cs.umich.edu -> [cs.umich.edu, umich.edu]
+   */
+  candidateDomains(domain) {
+    const labels = domain.split('.');
+    const candidates = [];
+    for (let i = 0; i < labels.length - 1; i++) {
+      candidates.push(labels.slice(i).join('.'));
+    }
+    return candidates;
+  }
+
+  /**
+   * Find the university a domain belongs to
+   * @returns {Object|null} { id, name, shortName, domain, matchedDomain, registered: true }
+   */
+  async lookupDomain(domain) {
+    const normalized = this.normalizeDomain(domain);
+    if (!normalized) return null;
+
+    const result = await this.db.query(`
+      SELECT u.id, u.name, u.short_name, d.domain AS matched_domain
+      FROM university_domains d
+      JOIN universities u ON u.id = d.university_id
+      WHERE d.domain = ANY($1)
+      ORDER BY LENGTH(d.domain) DESC
+      LIMIT 1
+    `, [this.candidateDomains(normalized)]);
+
+    const row = result.rows[0];
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      name: row.name,
+      shortName: row.short_name,
+      domain: normalized,
+      matchedDomain: row.matched_domain,
+      registered: true
+    };
+  }
+
+  /**
+   * Is this an academic domain? True for academic suffixes (academicDomains.js),
+   * the configured allowlist and any domain under a registered university.
+   */
+  async isAcademicDomain(domain) {
+    const normalized = this.normalizeDomain(domain);
+    if (!normalized) return false;
+
+    if (hasAcademicSuffix(normalized) || isAllowlistedDomain(normalized)) {
+      return true;
+    }
+
+    return (await this.lookupDomain(normalized)) !== null;
+  }
+
+  /**
+   * List universities with their domains and student counts
+   * @param {Object} filters - { search }
+   */
+  async listUniversities({ search } = {}) {
+    const result = await this.db.query(`
+      SELECT u.id, u.name, u.short_name, u.created_at, u.updated_at,
+             COALESCE(ARRAY_AGG(d.domain ORDER BY d.domain) FILTER (WHERE d.domain IS NOT NULL), '{}') AS domains,
+             (SELECT COUNT(*) FROM students s WHERE s.university_id = u.id)::int AS student_count
+      FROM universities u
+      LEFT JOIN university_domains d ON d.university_id = u.id
+      WHERE ($1::text IS NULL OR u.name ILIKE '%' || $1 || '%' OR u.short_name ILIKE '%' || $1 || '%')
+      GROUP BY u.id
+      ORDER BY u.name
+    `, [search || null]);
+    return result.rows;
+  }
+
+  /**
+   * One university with its domains
+   * @returns {Object|null}
+   */
+  async getUniversity(id) {
+    const result = await this.db.query(`
+      SELECT u.id, u.name, u.short_name, u.created_at, u.updated_at,
+             COALESCE(ARRAY_AGG(d.domain ORDER BY d.domain) FILTER (WHERE d.domain IS NOT NULL), '{}') AS domains,
+             (SELECT COUNT(*) FROM students s WHERE s.university_id = u.id)::int AS student_count
+      FROM universities u
+      LEFT JOIN university_domains d ON d.university_id = u.id
+      WHERE u.id = $1
+      GROUP BY u.id
+    `, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create a university and its domains
+   * @param {Object} data - { name, shortName, domains } (domains already normalized)
+   */
+  async createUniversity({ name, shortName, domains = [] }) {
+    const client = await this.db.connect();
+    let id;
+
+    // A taken domain (23505) rolls back the whole university
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        'INSERT INTO universities (name, short_name) VALUES ($1, $2) RETURNING id',
+        [name, shortName || null]
+      );
+      id = result.rows[0].id;
+
+      for (const domain of domains) {
+        await client.query(
+          'INSERT INTO university_domains (domain, university_id) VALUES ($1, $2)',
+          [domain, id]
+        );
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return this.getUniversity(id);
+  }
+
+  /**
+   * Rename a university
+   * @returns {Object|null} The updated university, or null if it doesn't exist
+   */
+  async updateUniversity(id, { name, shortName }) {
+    const result = await this.db.query(`
+      UPDATE universities
+      SET name = COALESCE($1, name),
+          short_name = COALESCE($2, short_name),
+          updated_at = NOW()
+      WHERE id = $3
+      RETURNING id
+    `, [name || null, shortName || null, id]);
+
+    if (result.rows.length === 0) return null;
+    return this.getUniversity(id);
+  }
+
+  /**
+   * Delete a university (its domains go with it)
+   * @returns {boolean} True if it existed
+   */
+  async deleteUniversity(id) {
+    const result = await this.db.query('DELETE FROM universities WHERE id = $1 RETURNING id', [id]);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Attach a domain to a university
+   * Throws the database error (23505) if the domain already belongs to one
+   */
+  async addDomain(universityId, domain) {
+    await this.db.query(
+      'INSERT INTO university_domains (domain, university_id) VALUES ($1, $2)',
+      [domain, universityId]
+    );
+  }
+
+  /**
+   * Detach a domain from a university
+   * @returns {boolean} True if the domain was registered to it
+   */
+  async removeDomain(universityId, domain) {
+    const result = await this.db.query(
+      'DELETE FROM university_domains WHERE domain = $1 AND university_id = $2 RETURNING domain',
+      [domain, universityId]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Set university_id for students that don't have one, from their email domain
+   * @returns {number} Students updated
+   */
+  async backfillStudents() {
+    const result = await this.db.query(`
+      UPDATE students s
+      SET university_id = m.university_id,
+          university_domain = COALESCE(s.university_domain, m.email_domain)
+      FROM (
+        SELECT DISTINCT ON (st.id) st.id, d.university_id, LOWER(SPLIT_PART(st.email, '@', 2)) AS email_domain
+        FROM students st
+        JOIN university_domains d
+          ON LOWER(SPLIT_PART(st.email, '@', 2)) = d.domain
+          OR LOWER(SPLIT_PART(st.email, '@', 2)) LIKE '%.' || d.domain
+        WHERE st.university_id IS NULL
+        ORDER BY st.id, LENGTH(d.domain) DESC
+      ) m
+      WHERE s.id = m.id
+      RETURNING s.id
+    `);
+    return result.rows.length;
+  }
+}
+
+module.exports = UniversityRegistry;